@@ -0,0 +1,388 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - analytics.js (Analytics & Attribution)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Event tracking with pluggable sinks (console,
+ *              beacon, memory) plus UTM/referrer attribution
+ *              that travels with every lead submission
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. SINKS
+// ========================
+
+// A sink implements send(events) and receives batches of event envelopes
+
+const consoleSink = {
+    send(events) {
+        events.forEach(event => console.log(`📊 ${event.name}`, event.props));
+    }
+};
+
+function createBeaconSink(url) {
+    return {
+        send(events) {
+            const body = JSON.stringify({ events });
+
+            if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+                return;
+            }
+
+            // sendBeacon missing or refused (payload too large) - keepalive fetch survives unload too
+            fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {});
+        }
+    };
+}
+
+function createMemorySink() {
+    return {
+        events: [],
+
+        send(events) {
+            this.events.push(...events);
+        },
+
+        clear() {
+            this.events = [];
+        }
+    };
+}
+
+// ========================
+// 2. ANALYTICS
+// ========================
+
+const Analytics = {
+    // Configuration
+    config: {
+        // 'console' and 'memory' are for development and tests: Analytics.useSink('console')
+        sink: 'beacon',
+        endpoint: '/api/events',
+        batchSize: 10,
+        flushInterval: 5000,
+        attributionKey: 'rootsAcademy.attribution',
+        attributionTTL: 30 * 24 * 60 * 60 * 1000, // 30 days
+        sessionKey: 'rootsAcademy.sessionId',
+        ctaSelector: 'a.btn, button.btn, .cta-nav, a[href^="tel:"], a[href*="wa.me"], [data-track]',
+        // Course filters report through filter:change instead (filters.js)
+        filterSelector: '.category-btn'
+    },
+
+    // State
+    sinks: new Map(),
+    queue: [],
+    flushTimer: null,
+    wizardProgress: new Map(),
+    submissionsAttached: false,
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        this.sinks.set('console', consoleSink);
+        this.sinks.set('beacon', createBeaconSink(this.config.endpoint));
+        this.sinks.set('memory', createMemorySink());
+
+        // Page views wait for analytics consent, attribution for marketing consent
+        this.whenConsented('marketing', () => this.captureAttribution());
+        this.whenConsented('analytics', () => this.trackPageView());
+        this.bindAutoTracking();
+        this.attachToSubmissions();
+
+        window.addEventListener('consent:change', () => this.applyConsent());
+    },
+
+    isAllowed(category) {
+        return typeof ConsentManager === 'undefined' || ConsentManager.has(category);
+    },
+
+    whenConsented(category, callback) {
+        if (typeof ConsentManager === 'undefined') {
+            callback();
+        } else {
+            ConsentManager.whenGranted(category, callback);
+        }
+    },
+
+    // Withdrawn consent drops anything not yet sent and forgets stored attribution
+    applyConsent() {
+        if (!this.isAllowed('analytics')) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            this.queue = [];
+        }
+
+        if (!this.isAllowed('marketing')) {
+            try {
+                localStorage.removeItem(this.config.attributionKey);
+            } catch (error) {
+                // Nothing stored
+            }
+        }
+    },
+
+    registerSink(name, sink) {
+        if (!sink || typeof sink.send !== 'function') {
+            throw new TypeError(`Analytics sink "${name}" must implement send(events)`);
+        }
+        this.sinks.set(name, sink);
+    },
+
+    useSink(name) {
+        this.flush();
+        this.config.sink = name;
+    },
+
+    getSessionId() {
+        try {
+            let id = sessionStorage.getItem(this.config.sessionKey);
+            if (!id) {
+                id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+                sessionStorage.setItem(this.config.sessionKey, id);
+            }
+            return id;
+        } catch (error) {
+            return 'no-session';
+        }
+    },
+
+    track(name, props = {}) {
+        if (!this.isAllowed('analytics')) return;
+
+        this.queue.push({
+            name,
+            props,
+            page: location.pathname,
+            sessionId: this.getSessionId(),
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.queue.length >= this.config.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.config.flushInterval);
+        }
+    },
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (this.queue.length === 0) return;
+
+        const sink = this.sinks.get(this.config.sink);
+        const events = this.queue.splice(0);
+
+        if (!sink) {
+            console.warn(`⚠️ Unknown analytics sink "${this.config.sink}" - ${events.length} events dropped`);
+            return;
+        }
+
+        try {
+            sink.send(events);
+        } catch (error) {
+            console.warn('⚠️ Analytics sink failed:', error);
+        }
+    },
+
+    trackPageView() {
+        this.track('page_view', {
+            path: location.pathname,
+            title: document.title,
+            referrer: document.referrer || null
+        });
+    }
+};
+
+// ========================
+// 3. ATTRIBUTION
+// ========================
+
+Analytics.captureAttribution = function() {
+    const params = new URLSearchParams(location.search);
+    const utm = {};
+
+    ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'].forEach(key => {
+        if (params.get(key)) utm[key] = params.get(key);
+    });
+
+    const referrer = document.referrer && new URL(document.referrer).host !== location.host
+        ? document.referrer
+        : null;
+
+    const stored = this.getAttribution();
+
+    // Internal navigation without new campaign data keeps the existing record
+    if (stored && Object.keys(utm).length === 0 && !referrer) return;
+
+    const touch = {
+        ...utm,
+        referrer,
+        landingPage: location.pathname,
+        timestamp: new Date().toISOString()
+    };
+
+    const record = {
+        firstTouch: stored ? stored.firstTouch : touch,
+        lastTouch: touch,
+        expiresAt: Date.now() + this.config.attributionTTL
+    };
+
+    try {
+        localStorage.setItem(this.config.attributionKey, JSON.stringify(record));
+    } catch (error) {
+        // Attribution is best effort
+    }
+};
+
+Analytics.getAttribution = function() {
+    try {
+        const record = JSON.parse(localStorage.getItem(this.config.attributionKey));
+        return record && record.expiresAt > Date.now() ? record : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Flat fields so the same payload works for JSON and multipart transports
+Analytics.getAttributionFields = function() {
+    if (!this.isAllowed('marketing')) return {};
+
+    const record = this.getAttribution();
+    if (!record) return {};
+
+    const { firstTouch, lastTouch } = record;
+    const fields = {};
+
+    ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'].forEach(key => {
+        if (lastTouch[key]) fields[key] = lastTouch[key];
+    });
+
+    if (lastTouch.referrer) fields.referrer = lastTouch.referrer;
+    fields.landing_page = firstTouch.landingPage;
+    fields.first_touch_at = firstTouch.timestamp;
+    if (firstTouch.utm_source) fields.first_utm_source = firstTouch.utm_source;
+
+    return fields;
+};
+
+// Also run by PageRouter on every page swap; the flag keeps it to one enricher
+Analytics.attachToSubmissions = function() {
+    if (this.submissionsAttached || typeof SubmissionManager === 'undefined') return;
+    this.submissionsAttached = true;
+
+    SubmissionManager.addEnricher(data => ({ ...data, ...this.getAttributionFields() }));
+};
+
+// ========================
+// 4. AUTO TRACKING
+// ========================
+
+Analytics.bindAutoTracking = function() {
+    document.addEventListener('click', e => {
+        const filter = e.target.closest(this.config.filterSelector);
+        if (filter) {
+            this.track('course_filter', {
+                filter: filter.dataset.filter || filter.dataset.category,
+                control: filter.className.split(' ')[0]
+            });
+            return;
+        }
+
+        const cta = e.target.closest(this.config.ctaSelector);
+
+        // Form buttons are tracked through the form events instead; banner buttons aren't CTAs
+        if (!cta || (cta.closest('form, .consent-banner') && !cta.dataset.track)) return;
+
+        this.track('cta_click', {
+            cta: cta.dataset.track || cta.textContent.trim().replace(/\s+/g, ' ').slice(0, 60),
+            href: cta.getAttribute('href') || null
+        });
+    });
+
+    // Form and wizard events don't bubble, so listen in the capture phase
+    document.addEventListener('wizard:change', e => {
+        const formId = e.target.id;
+        const progress = this.wizardProgress.get(formId) || { furthest: 0, completed: false };
+
+        progress.furthest = Math.max(progress.furthest, e.detail.position);
+        progress.total = e.detail.total;
+        progress.step = e.detail.step;
+        this.wizardProgress.set(formId, progress);
+
+        this.track('wizard_step', { form: formId, step: e.detail.step, position: e.detail.position, total: e.detail.total });
+    }, true);
+
+    document.addEventListener('filter:change', e => {
+        const { filters, count } = e.detail;
+        const props = { results: count };
+
+        Object.entries(filters).forEach(([key, value]) => {
+            props[key] = Array.isArray(value) ? value.join(',') : value;
+        });
+        if (props.q) props.q = props.q.slice(0, 60);
+
+        this.track('course_filter', props);
+    }, true);
+
+    const formEvents = {
+        'form:submitted': 'sent',
+        'form:queued': 'queued',
+        'form:failed': 'failed',
+        'form:blocked': 'blocked'
+    };
+
+    Object.entries(formEvents).forEach(([type, status]) => {
+        document.addEventListener(type, e => {
+            const detail = e.detail || {};
+            const props = { form: e.target.id, status };
+
+            if (detail.error) props.error = detail.error.type;
+            if (detail.reason) props.reason = detail.reason;
+
+            if (status === 'sent' || status === 'queued') {
+                const progress = this.wizardProgress.get(e.target.id);
+                if (progress) progress.completed = true;
+                if (e.target.elements.hearAbout) props.hearAbout = e.target.elements.hearAbout.value || null;
+            }
+
+            this.track('form_submit', props);
+        }, true);
+    });
+
+    // Drop-off: a wizard that was started but never completed when the visitor leaves
+    window.addEventListener('pagehide', () => {
+        this.wizardProgress.forEach((progress, formId) => {
+            if (!progress.completed && progress.furthest > 0) {
+                this.track('wizard_abandon', { form: formId, step: progress.step, furthest: progress.furthest, total: progress.total });
+            }
+        });
+        this.flush();
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.flush();
+    });
+};
+
+// ========================
+// 5. INITIALIZATION
+// ========================
+
+document.addEventListener('DOMContentLoaded', () => {
+    Analytics.init();
+});
+
+// Export for use in other scripts
+window.Analytics = Analytics;
+window.createMemorySink = createMemorySink;
@@ -25,14 +25,17 @@ const AnimationController = {
     },
     
     // State
+    root: document,
     observers: new Map(),
     activeAnimations: new Set(),
     timeline: null,
+    reducedMotionStyle: null,
     
-    // Initialize all animations
-    init() {
+    // Initialize all animations; PageRouter (router.js) passes the new <main> after a page swap
+    init(root = document) {
+        this.root = root;
+        
         if (this.config.reducedMotion) {
-            console.log('🎭 Reduced motion preference detected - animations disabled');
             this.applyReducedMotionStyles();
             return;
         }
@@ -49,8 +52,11 @@ const AnimationController = {
         console.log('🎭 Animation Controller initialized');
     },
     
-    // Apply reduced motion styles
+    // Apply reduced motion styles; once per document, however many pages PageRouter swaps in
     applyReducedMotionStyles() {
+        if (this.reducedMotionStyle) return;
+
+        console.log('🎭 Reduced motion preference detected - animations disabled');
         const style = document.createElement('style');
         style.textContent = `
             *, *::before, *::after {
@@ -61,6 +67,7 @@ const AnimationController = {
             }
         `;
         document.head.appendChild(style);
+        this.reducedMotionStyle = style;
     },
     
     // Clean up observers
@@ -76,7 +83,7 @@ const AnimationController = {
 // ========================
 
 AnimationController.initScrollAnimations = function() {
-    const scrollElements = document.querySelectorAll('[data-scroll-animation]');
+    const scrollElements = this.root.querySelectorAll('[data-scroll-animation]');
     
     if (scrollElements.length === 0) return;
     
@@ -177,7 +184,7 @@ AnimationController.triggerScrollAnimation = function(element) {
 // ========================
 
 AnimationController.initRevealAnimations = function() {
-    const revealElements = document.querySelectorAll('.reveal-animation');
+    const revealElements = this.root.querySelectorAll('.reveal-animation');
     
     revealElements.forEach((element, index) => {
         const delay = index * this.config.staggerDelay;
@@ -200,7 +207,7 @@ AnimationController.initRevealAnimations = function() {
 // ========================
 
 AnimationController.initTypewriterAnimations = function() {
-    const typewriterElements = document.querySelectorAll('.typewriter-text');
+    const typewriterElements = this.root.querySelectorAll('.typewriter-text');
     
     typewriterElements.forEach(element => {
         this.createTypewriter(element);
@@ -239,7 +246,7 @@ AnimationController.createTypewriter = function(element) {
 // ========================
 
 AnimationController.initFloatingElements = function() {
-    const floatingElements = document.querySelectorAll('.floating-element');
+    const floatingElements = this.root.querySelectorAll('.floating-element');
     
     floatingElements.forEach((element, index) => {
         const duration = 3000 + (index * 500); // Varied duration
@@ -292,7 +299,7 @@ AnimationController.addFloatingKeyframes = function() {
 // ========================
 
 AnimationController.initMorphingShapes = function() {
-    const morphingElements = document.querySelectorAll('.morphing-shape');
+    const morphingElements = this.root.querySelectorAll('.morphing-shape');
     
     morphingElements.forEach((element, index) => {
         const duration = 8000 + (index * 1000);
@@ -316,7 +323,7 @@ AnimationController.initInteractiveElements = function() {
 };
 
 AnimationController.initCardHoverEffects = function() {
-    const cards = document.querySelectorAll('.hover-card, .glass-card, .course-card');
+    const cards = this.root.querySelectorAll('.hover-card, .glass-card, .course-card');
     
     cards.forEach(card => {
         card.addEventListener('mouseenter', () => {
@@ -336,7 +343,7 @@ AnimationController.initCardHoverEffects = function() {
 };
 
 AnimationController.initButtonAnimations = function() {
-    const buttons = document.querySelectorAll('.btn, .btn-custom, .cta-button');
+    const buttons = this.root.querySelectorAll('.btn, .btn-custom, .cta-button');
     
     buttons.forEach(button => {
         // Ripple effect
@@ -396,7 +403,7 @@ AnimationController.addRippleKeyframes = function() {
 };
 
 AnimationController.initImageHoverEffects = function() {
-    const hoverImages = document.querySelectorAll('.hover-zoom, .team-member img');
+    const hoverImages = this.root.querySelectorAll('.hover-zoom, .team-member img');
     
     hoverImages.forEach(img => {
         const container = img.parentElement;
@@ -419,7 +426,7 @@ AnimationController.initImageHoverEffects = function() {
 // ========================
 
 AnimationController.initHeroAnimations = function() {
-    const heroSection = document.querySelector('.hero-section');
+    const heroSection = this.root.querySelector('.hero-section');
     if (!heroSection) return;
     
     // Animate hero elements in sequence
@@ -448,7 +455,10 @@ AnimationController.initHeroAnimations = function() {
 // 9. PAGE TRANSITIONS
 // ========================
 
+// Transitions between pages belong to PageRouter (router.js); this only fades in the first load
 AnimationController.initPageTransitions = function() {
+    if (this.root !== document) return;
+    
     // Smooth page load animation
     document.body.style.opacity = '0';
     document.body.style.transition = 'opacity 500ms ease';
@@ -456,57 +466,39 @@ AnimationController.initPageTransitions = function() {
     window.addEventListener('load', () => {
         document.body.style.opacity = '1';
     });
-    
-    // Link transition effects
-    const transitionLinks = document.querySelectorAll('a[href]:not([href^="#"]):not([target="_blank"])');
-    
-    transitionLinks.forEach(link => {
-        link.addEventListener('click', (e) => {
-            if (e.metaKey || e.ctrlKey) return; // Allow normal behavior for new tabs
-            
-            e.preventDefault();
-            const href = link.getAttribute('href');
-            
-            document.body.style.opacity = '0';
-            setTimeout(() => {
-                window.location.href = href;
-            }, 300);
-        });
-    });
 };
 
 // ========================
 // 10. SCROLL-BASED ANIMATIONS
 // ========================
 
+// Both effects run through ScrollScheduler (scheduler.js), which batches the
+// getBoundingClientRect reads before any transform is written
 AnimationController.initScrollBasedAnimations = function() {
-    let ticking = false;
-    
-    function updateAnimations() {
-        const scrolled = window.pageYOffset;
-        const rate = scrolled * -0.5;
-        
-        // Parallax backgrounds
-        const parallaxElements = document.querySelectorAll('.parallax-bg');
-        parallaxElements.forEach(element => {
-            element.style.transform = `translateY(${rate}px)`;
-        });
-        
-        // Scale elements based on scroll
-        const scaleElements = document.querySelectorAll('.scroll-scale');
-        scaleElements.forEach(element => {
-            const rect = element.getBoundingClientRect();
-            const scale = Math.max(0.8, 1 - (Math.abs(rect.top) / window.innerHeight));
-            element.style.transform = `scale(${scale})`;
-        });
-        
-        ticking = false;
-    }
+    // Parallax backgrounds
+    ScrollScheduler.subscribe({
+        id: 'parallax-bg',
+        selector: '.parallax-bg',
+        write(frame, elements) {
+            const rate = frame.scrollY * -0.5;
+            elements.forEach(element => {
+                element.style.transform = `translateY(${rate}px)`;
+            });
+        }
+    });
     
-    window.addEventListener('scroll', () => {
-        if (!ticking) {
-            requestAnimationFrame(updateAnimations);
-            ticking = true;
+    // Scale elements based on scroll
+    ScrollScheduler.subscribe({
+        id: 'scroll-scale',
+        selector: '.scroll-scale',
+        read(frame, elements) {
+            return elements.map(element => element.getBoundingClientRect().top);
+        },
+        write(frame, elements, tops) {
+            elements.forEach((element, index) => {
+                const scale = Math.max(0.8, 1 - (Math.abs(tops[index]) / frame.viewportHeight));
+                element.style.transform = `scale(${scale})`;
+            });
         }
     });
 };
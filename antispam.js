@@ -0,0 +1,213 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - antispam.js (Form Abuse Protection)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Client-side bot deterrents for public forms:
+ *              honeypot, minimum fill time, per-browser rate
+ *              limiting and a pluggable challenge hook
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. CHALLENGES
+// ========================
+
+// A challenge implements solve(context) and resolves with a proof object
+// that is sent to the server in the X-Form-Guard header, or rejects.
+
+async function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+const proofOfWorkChallenge = {
+    // Find a nonce whose SHA-256 with the salt starts with `difficulty` zero hex digits
+    async solve(context) {
+        // WebCrypto needs a secure context; let the server decide on plain http
+        if (!window.crypto || !window.crypto.subtle) {
+            return { type: 'pow', unsupported: true };
+        }
+
+        const difficulty = context.config.powDifficulty;
+        const prefix = '0'.repeat(difficulty);
+        const salt = `${context.formId}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+        const deadline = Date.now() + context.config.powTimeout;
+
+        for (let nonce = 0; Date.now() < deadline; nonce++) {
+            const hash = await sha256Hex(`${salt}:${nonce}`);
+            if (hash.startsWith(prefix)) {
+                return { type: 'pow', salt, nonce, difficulty };
+            }
+        }
+
+        throw new Error('Proof of work timed out');
+    }
+};
+
+// Local stand-in for a third-party CAPTCHA, so flows can be tested offline
+function createStubChallenge(options = {}) {
+    const settings = { delay: 200, pass: true, ...options };
+
+    return {
+        calls: 0,
+
+        solve(context) {
+            this.calls++;
+
+            return new Promise((resolve, reject) => {
+                setTimeout(() => {
+                    if (settings.pass) {
+                        resolve({ type: 'stub', token: `stub-${context.formId}-${this.calls}` });
+                    } else {
+                        reject(new Error('Stub challenge failed'));
+                    }
+                }, settings.delay);
+            });
+        }
+    };
+}
+
+// ========================
+// 2. FORM GUARD
+// ========================
+
+const FormGuard = {
+    // Configuration
+    config: {
+        honeypotName: 'company_website',
+        minFillTime: 3000,
+        rateLimit: {
+            max: 3,
+            window: 10 * 60 * 1000 // 10 minutes
+        },
+        storageKey: 'rootsAcademy.submissionLog',
+        challenge: 'proofOfWork',
+        powDifficulty: 3,
+        powTimeout: 15000
+    },
+
+    // State
+    challenges: new Map([
+        ['none', { solve: () => Promise.resolve(null) }],
+        ['proofOfWork', proofOfWorkChallenge],
+        ['stub', createStubChallenge()]
+    ]),
+    startTimes: new WeakMap(),
+
+    registerChallenge(name, challenge) {
+        if (!challenge || typeof challenge.solve !== 'function') {
+            throw new TypeError(`Challenge "${name}" must implement solve(context)`);
+        }
+        this.challenges.set(name, challenge);
+    },
+
+    protect(form) {
+        this.addHoneypot(form);
+        this.startTimes.set(form, Date.now());
+
+        // A completed form starts a new fill-time window
+        form.addEventListener('reset', () => this.startTimes.set(form, Date.now()));
+
+        // Only delivered forms count toward the rate limit: failed, timed-out and
+        // queued attempts can be retried without locking the visitor out
+        form.addEventListener('form:submitted', () => this.recordSubmission());
+    },
+
+    // Hidden from people and assistive tech, but irresistible to form-filling bots
+    addHoneypot(form) {
+        if (form.querySelector(`[name="${this.config.honeypotName}"]`)) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-honeypot';
+        wrapper.setAttribute('aria-hidden', 'true');
+        wrapper.style.cssText = 'position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden;';
+
+        const label = document.createElement('label');
+        label.textContent = 'Leave this field empty';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = this.config.honeypotName;
+        input.tabIndex = -1;
+        input.autocomplete = 'off';
+
+        label.appendChild(input);
+        wrapper.appendChild(label);
+        form.appendChild(wrapper);
+    },
+
+    readLog() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    writeLog(log) {
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(log));
+        } catch (error) {
+            // Without storage the limit only applies to this page view
+        }
+    },
+
+    getRecentSubmissions(now = Date.now()) {
+        return this.readLog().filter(time => now - time < this.config.rateLimit.window);
+    },
+
+    recordSubmission(now = Date.now()) {
+        this.writeLog([...this.getRecentSubmissions(now), now]);
+    },
+
+    // Resolves with { ok: true, proof } or { ok: false, reason, retryAfter? }
+    async check(form) {
+        const now = Date.now();
+
+        const honeypot = form.querySelector(`[name="${this.config.honeypotName}"]`);
+        if (honeypot && honeypot.value !== '') {
+            return { ok: false, reason: 'honeypot' };
+        }
+
+        const startedAt = this.startTimes.get(form) || now;
+        const elapsed = now - startedAt;
+        if (elapsed < this.config.minFillTime) {
+            return { ok: false, reason: 'too-fast' };
+        }
+
+        const recent = this.getRecentSubmissions(now);
+        if (recent.length >= this.config.rateLimit.max) {
+            const retryAfter = recent[0] + this.config.rateLimit.window - now;
+            return { ok: false, reason: 'rate-limited', retryAfter };
+        }
+
+        const challengeName = form.dataset.challenge || this.config.challenge;
+        const challenge = this.challenges.get(challengeName);
+        if (!challenge) {
+            throw new Error(`Unknown form challenge: ${challengeName}`);
+        }
+
+        let solution;
+        try {
+            solution = await challenge.solve({ form, formId: form.id, config: this.config });
+        } catch (error) {
+            return { ok: false, reason: 'challenge-failed' };
+        }
+
+        return {
+            ok: true,
+            proof: { elapsed, challenge: solution }
+        };
+    },
+
+    createStubChallenge
+};
+
+// Export for use in other scripts
+window.FormGuard = FormGuard;
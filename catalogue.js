@@ -0,0 +1,596 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - catalogue.js (Course Catalogue)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: The single source for every course we offer.
+ *              Renders the course cards, comparison table,
+ *              fee list and form course options from it
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. COURSE DATA
+// ========================
+
+// Adding a batch or changing a fee happens here and nowhere else.
+// `value` is what the forms submit; exams, classes, modes and batches use the COURSE_FACETS values.
+const COURSES = [
+    {
+        id: 'iit-jee',
+        value: 'IIT-JEE',
+        name: 'IIT-JEE',
+        category: 'engineering',
+        title: 'IIT-JEE Mastery Program',
+        subtitle: 'Complete JEE Main & Advanced Preparation',
+        tagline: 'Complete JEE Main & Advanced preparation',
+        description: 'Our flagship program designed to help you crack JEE Main and Advanced. With expert faculty from IITs, comprehensive study material, and proven teaching methodologies, we ensure you\'re fully prepared for success.',
+        image: 'https://images.unsplash.com/photo-1481627834876-b7833e8f5570?w=600&h=400&fit=crop',
+        icon: 'fa-rocket',
+        badge: { label: 'Premium', type: 'premium' },
+        rating: 5.0,
+        features: [
+            { icon: 'fa-clock', text: '300+ Hours Live Classes' },
+            { icon: 'fa-file-alt', text: '50+ Mock Tests' },
+            { icon: 'fa-question-circle', text: '24/7 Doubt Support' },
+            { icon: 'fa-users', text: 'Small Batch Size (15-20)' },
+            { icon: 'fa-book', text: 'Comprehensive Study Material' },
+            { icon: 'fa-chart-line', text: 'Performance Analytics' }
+        ],
+        pricing: { fee: 50000, originalFee: 65000, note: 'EMI options available', faqNote: 'EMI available' },
+        stats: [
+            { value: '500+', label: 'Students Enrolled' },
+            { value: '95%', label: 'Success Rate' },
+            { value: 'AIR 42', label: 'Best Rank 2024' }
+        ],
+        comparison: {
+            duration: '1-2 Years',
+            hoursPerWeek: '15-20 Hours',
+            mockTests: '50+',
+            studyMaterial: true,
+            onlineAccess: true,
+            doubtSolving: '24/7'
+        },
+        exams: ['jee-main', 'jee-advanced'],
+        classes: ['11', '12', 'dropper'],
+        modes: ['offline', 'online'],
+        batches: ['morning', 'evening', 'weekend']
+    },
+    {
+        id: 'eamcet',
+        value: 'EAMCET',
+        name: 'EAMCET',
+        category: 'engineering',
+        title: 'EAMCET Excellence Program',
+        subtitle: 'TS/AP EAMCET Complete Preparation',
+        tagline: 'TS/AP EAMCET specialized coaching',
+        description: 'Specialized coaching for EAMCET with focus on state-specific pattern and syllabus. Our expert faculty ensures you master Physics, Chemistry, and Mathematics with proven strategies for top ranks.',
+        image: 'https://images.unsplash.com/photo-1434030216411-0b793f4b4173?w=600&h=400&fit=crop',
+        icon: 'fa-graduation-cap',
+        badge: { label: 'Most Popular', type: 'popular' },
+        rating: 4.9,
+        features: [
+            { icon: 'fa-clock', text: '200+ Hours Classes' },
+            { icon: 'fa-file-alt', text: 'Daily Practice Tests' },
+            { icon: 'fa-rocket', text: 'Crash Courses Available' },
+            { icon: 'fa-trophy', text: 'State Topper Mentorship' },
+            { icon: 'fa-mobile-alt', text: 'Mobile App Access' },
+            { icon: 'fa-certificate', text: 'Previous Year Papers' }
+        ],
+        pricing: { fee: 45000, originalFee: 55000, note: 'Crash course: ₹15,000' },
+        stats: [
+            { value: '800+', label: 'Students Enrolled' },
+            { value: '98%', label: 'Success Rate' },
+            { value: 'Rank 5', label: 'Best Rank 2024' }
+        ],
+        comparison: {
+            duration: '1 Year',
+            hoursPerWeek: '12-15 Hours',
+            mockTests: '40+',
+            studyMaterial: true,
+            onlineAccess: true,
+            doubtSolving: 'Daily'
+        },
+        exams: ['eamcet'],
+        classes: ['11', '12', 'dropper'],
+        modes: ['offline', 'online'],
+        batches: ['morning', 'afternoon', 'evening']
+    },
+    {
+        id: 'neet',
+        value: 'NEET',
+        name: 'NEET',
+        category: 'medical',
+        title: 'NEET Success Program',
+        subtitle: 'Complete Medical Entrance Preparation',
+        tagline: 'Medical entrance preparation',
+        description: 'Comprehensive NEET preparation focusing on Biology, Physics, and Chemistry. Our specialized medical faculty with years of experience ensures you\'re ready for one of India\'s most competitive medical entrance exams.',
+        image: 'https://images.unsplash.com/photo-1559757148-5c350d0d3c56?w=600&h=400&fit=crop',
+        icon: 'fa-heartbeat',
+        badge: { label: 'Medical', type: 'medical' },
+        rating: 4.8,
+        features: [
+            { icon: 'fa-microscope', text: 'Biology Focus Sessions' },
+            { icon: 'fa-file-alt', text: 'Weekly Mock Tests' },
+            { icon: 'fa-chart-bar', text: 'Previous Year Analysis' },
+            { icon: 'fa-users', text: 'Small Batches (12-15)' },
+            { icon: 'fa-stethoscope', text: 'Medical Expert Faculty' },
+            { icon: 'fa-laptop', text: 'Online Resources' }
+        ],
+        pricing: { fee: 48000, originalFee: 60000, note: 'Biology intensive: +₹8,000' },
+        stats: [
+            { value: '400+', label: 'Students Enrolled' },
+            { value: '92%', label: 'Success Rate' },
+            { value: 'AIR 156', label: 'Best Rank 2024' }
+        ],
+        comparison: {
+            duration: '1-2 Years',
+            hoursPerWeek: '15-18 Hours',
+            mockTests: '45+',
+            studyMaterial: true,
+            onlineAccess: true,
+            doubtSolving: '24/7'
+        },
+        exams: ['neet'],
+        classes: ['11', '12', 'dropper'],
+        modes: ['offline', 'online'],
+        batches: ['morning', 'evening']
+    },
+    {
+        id: 'foundation',
+        value: 'Foundation',
+        name: 'Foundation',
+        category: 'foundation',
+        title: 'Foundation Program',
+        subtitle: 'Classes 8-12 | Board Exams + Competition',
+        tagline: 'Classes 8-12 board + competition',
+        description: 'Build a strong foundation from early years. Our Foundation program for classes 8-12 ensures students excel in board exams while simultaneously preparing for competitive exams through our dual approach methodology.',
+        image: 'https://images.unsplash.com/photo-1503676260728-1c00da094a0b?w=600&h=400&fit=crop',
+        icon: 'fa-seedling',
+        badge: { label: 'Foundation', type: 'foundation' },
+        rating: 4.9,
+        features: [
+            { icon: 'fa-building', text: 'Concept Building' },
+            { icon: 'fa-school', text: 'Board Exam Focus' },
+            { icon: 'fa-rocket', text: 'Competition Prep' },
+            { icon: 'fa-calendar-alt', text: 'Flexible Schedules' },
+            { icon: 'fa-user-graduate', text: 'Qualified Teachers' },
+            { icon: 'fa-home', text: 'Home Assignments' }
+        ],
+        pricing: { fee: 25000, originalFee: 35000, note: 'Class 8-10: ₹20,000' },
+        stats: [
+            { value: '600+', label: 'Students Enrolled' },
+            { value: '96%', label: 'Board Pass Rate' },
+            { value: '85%', label: 'Competition Ready' }
+        ],
+        comparison: {
+            duration: 'Per Class',
+            hoursPerWeek: '8-12 Hours',
+            mockTests: 'Monthly',
+            studyMaterial: true,
+            onlineAccess: true,
+            doubtSolving: 'Daily'
+        },
+        exams: ['boards', 'jee-main', 'neet'],
+        classes: ['8', '9', '10', '11', '12'],
+        modes: ['offline'],
+        batches: ['evening', 'weekend']
+    }
+];
+
+// The filterable properties of a course and the choices each one offers.
+// `aliases` maps a facet value to the values the enquiry forms submit for it.
+const COURSE_FACETS = {
+    exam: {
+        field: 'exams',
+        label: 'Exam',
+        options: [
+            { value: 'jee-main', label: 'JEE Main' },
+            { value: 'jee-advanced', label: 'JEE Advanced' },
+            { value: 'eamcet', label: 'TS/AP EAMCET' },
+            { value: 'neet', label: 'NEET' },
+            { value: 'boards', label: 'Board Exams' }
+        ]
+    },
+    class: {
+        field: 'classes',
+        label: 'Class',
+        options: [
+            { value: '8', label: 'Class 8' },
+            { value: '9', label: 'Class 9' },
+            { value: '10', label: 'Class 10' },
+            { value: '11', label: 'Class 11' },
+            { value: '12', label: 'Class 12' },
+            { value: 'dropper', label: '12th Pass / Drop Year', aliases: ['12th-pass', '12th Pass', 'drop-year'] }
+        ]
+    },
+    mode: {
+        field: 'modes',
+        label: 'Mode',
+        options: [
+            { value: 'offline', label: 'Classroom' },
+            { value: 'online', label: 'Online' }
+        ]
+    },
+    batch: {
+        field: 'batches',
+        label: 'Batch Timing',
+        options: [
+            { value: 'morning', label: 'Morning (6 AM - 12 PM)' },
+            { value: 'afternoon', label: 'Afternoon (12 PM - 6 PM)' },
+            { value: 'evening', label: 'Evening (6 PM - 10 PM)' },
+            { value: 'weekend', label: 'Weekend' }
+        ]
+    }
+};
+
+// ========================
+// 2. COURSE CATALOGUE
+// ========================
+
+const CourseCatalogue = {
+    // Configuration
+    config: {
+        cardsSelector: '[data-course-cards]',
+        comparisonSelector: '[data-course-comparison]',
+        selectSelector: 'select[data-course-options]',
+        radioSelector: '[data-course-radios]',
+        feesSelector: '[data-course-fees]',
+        enrollUrl: 'contact.html',
+        demoModal: 'demoModal',
+        feePeriod: 'year',
+        // Rows of the comparison table, keyed into each course's `comparison`; true renders a tick
+        comparisonRows: [
+            { key: 'duration', label: 'Duration' },
+            { key: 'hoursPerWeek', label: 'Class Hours/Week' },
+            { key: 'mockTests', label: 'Mock Tests' },
+            { key: 'studyMaterial', label: 'Study Material' },
+            { key: 'onlineAccess', label: 'Online Access' },
+            { key: 'doubtSolving', label: 'Doubt Solving' }
+        ]
+    },
+
+    courses: COURSES,
+    facets: COURSE_FACETS,
+
+    // State
+    searchText: new Map(),
+
+    // Accepts either the anchor id ("iit-jee") or the submitted form value ("IIT-JEE")
+    get(key) {
+        return this.courses.find(course => course.id === key || course.value === key) || null;
+    },
+
+    // Class values as the enquiry forms submit them ("12th Pass", "drop-year"...)
+    getEligibleClasses(key) {
+        const course = this.get(key);
+        if (!course) return null;
+
+        return course.classes.flatMap(value => {
+            const option = this.facets.class.options.find(item => item.value === value);
+            return [value, ...((option && option.aliases) || [])];
+        });
+    },
+
+    getFacetLabel(facet, value) {
+        const option = this.facets[facet] && this.facets[facet].options.find(item => item.value === value);
+        return option ? option.label : value;
+    },
+
+    formatFee(amount) {
+        return `₹${amount.toLocaleString('en-IN')}`;
+    },
+
+    getDiscount(pricing) {
+        if (!pricing.originalFee || pricing.originalFee <= pricing.fee) return 0;
+        return Math.round((1 - pricing.fee / pricing.originalFee) * 100);
+    },
+
+    // Fills every catalogue placeholder under root; safe to call again after PageRouter swaps a page in
+    render(root = document) {
+        root.querySelectorAll(this.config.cardsSelector).forEach(container => this.renderCards(container));
+        root.querySelectorAll(this.config.comparisonSelector).forEach(table => this.renderComparison(table));
+        root.querySelectorAll(this.config.selectSelector).forEach(select => this.renderSelectOptions(select));
+        root.querySelectorAll(this.config.radioSelector).forEach(group => this.renderRadioOptions(group));
+        root.querySelectorAll(this.config.feesSelector).forEach(list => this.renderFeeList(list));
+    }
+};
+
+// ========================
+// 3. SEARCH & FILTERING
+// ========================
+
+// Filters look like { q, stream, exam: [], class: [], mode: [], batch: [], fee: { min, max } }.
+// Values within a facet are alternatives; different facets must all match.
+CourseCatalogue.filter = function(filters = {}) {
+    return this.courses.filter(course => this.matches(course, filters));
+};
+
+CourseCatalogue.matches = function(course, filters) {
+    if (filters.stream && course.category !== filters.stream) return false;
+
+    const facetsMatch = Object.entries(this.facets).every(([facet, definition]) => {
+        const wanted = filters[facet];
+        return !wanted || wanted.length === 0 || wanted.some(value => course[definition.field].includes(value));
+    });
+    if (!facetsMatch) return false;
+
+    // The upper bound is exclusive, so ranges that meet (30000-50000, 50000-) never overlap
+    if (filters.fee) {
+        if (filters.fee.min != null && course.pricing.fee < filters.fee.min) return false;
+        if (filters.fee.max != null && course.pricing.fee >= filters.fee.max) return false;
+    }
+
+    if (filters.q) {
+        const text = this.getSearchText(course);
+        const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+        if (!terms.every(term => text.includes(term))) return false;
+    }
+
+    return true;
+};
+
+// Everything on the card plus the facet labels, so "weekend" or "advanced" finds a course
+CourseCatalogue.getSearchText = function(course) {
+    if (!this.searchText.has(course.id)) {
+        const facetLabels = Object.entries(this.facets).flatMap(([facet, definition]) =>
+            course[definition.field].map(value => this.getFacetLabel(facet, value)));
+
+        this.searchText.set(course.id, [
+            course.name,
+            course.title,
+            course.subtitle,
+            course.tagline,
+            course.description,
+            course.badge.label,
+            ...course.features.map(feature => feature.text),
+            ...facetLabels
+        ].join(' ').toLowerCase());
+    }
+    return this.searchText.get(course.id);
+};
+
+// ========================
+// 4. RENDERERS
+// ========================
+
+function catalogueElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text) el.textContent = text;
+    return el;
+}
+
+function catalogueIcon(icon, extraClass) {
+    const el = catalogueElement('i', `fas ${icon}${extraClass ? ` ${extraClass}` : ''}`);
+    el.setAttribute('aria-hidden', 'true');
+    return el;
+}
+
+CourseCatalogue.renderCards = function(container) {
+    container.textContent = '';
+    this.courses.forEach((course, index) => container.appendChild(this.createCard(course, index)));
+};
+
+// Same markup the cards were hand-written with, so pages.css and the course filter keep working
+CourseCatalogue.createCard = function(course, index) {
+    const card = catalogueElement('div', `course-detailed-card ${course.category}`);
+    card.id = course.id;
+    card.dataset.aos = 'fade-up';
+    if (index > 0) card.dataset.aosDelay = String(index * 100);
+
+    // Every other card puts its picture on the right
+    const flipped = index % 2 === 1;
+    const row = catalogueElement('div', 'row align-items-center');
+    const visualCol = catalogueElement('div', flipped ? 'col-lg-6 order-lg-2' : 'col-lg-6');
+    const detailsCol = catalogueElement('div', flipped ? 'col-lg-6 order-lg-1' : 'col-lg-6');
+
+    visualCol.appendChild(this.createVisual(course));
+    detailsCol.appendChild(this.createDetails(course));
+    row.append(visualCol, detailsCol);
+    card.appendChild(row);
+
+    return card;
+};
+
+CourseCatalogue.createVisual = function(course) {
+    const visual = catalogueElement('div', 'course-visual');
+    const imageContainer = catalogueElement('div', 'course-image-container');
+
+    const image = catalogueElement('img');
+    image.src = course.image;
+    image.alt = `${course.name} Coaching`;
+
+    const overlay = catalogueElement('div', 'course-badge-overlay');
+    overlay.appendChild(catalogueElement('span', `course-badge ${course.badge.type}`, course.badge.label));
+
+    const rating = catalogueElement('span', 'course-rating');
+    for (let i = 0; i < Math.round(course.rating); i++) {
+        rating.appendChild(catalogueIcon('fa-star'));
+    }
+    rating.append(` ${course.rating.toFixed(1)}`);
+    overlay.appendChild(rating);
+
+    imageContainer.append(image, overlay);
+    visual.appendChild(imageContainer);
+    return visual;
+};
+
+CourseCatalogue.createDetails = function(course) {
+    const details = catalogueElement('div', 'course-details');
+
+    // Header
+    const header = catalogueElement('div', 'course-header');
+    const icon = catalogueElement('div', 'course-icon');
+    icon.appendChild(catalogueIcon(course.icon));
+    const meta = catalogueElement('div', 'course-meta');
+    meta.append(
+        catalogueElement('h3', 'course-title', course.title),
+        catalogueElement('p', 'course-subtitle', course.subtitle)
+    );
+    header.append(icon, meta);
+
+    // Features
+    const features = catalogueElement('div', 'course-features-grid');
+    course.features.forEach(feature => {
+        const item = catalogueElement('div', 'feature-item');
+        item.append(catalogueIcon(feature.icon), catalogueElement('span', null, feature.text));
+        features.appendChild(item);
+    });
+
+    // Pricing
+    const pricing = catalogueElement('div', 'course-pricing');
+    const priceContainer = catalogueElement('div', 'price-container');
+    priceContainer.appendChild(catalogueElement('span', 'current-price', this.formatFee(course.pricing.fee)));
+
+    const discount = this.getDiscount(course.pricing);
+    if (discount > 0) {
+        priceContainer.append(
+            catalogueElement('span', 'original-price', this.formatFee(course.pricing.originalFee)),
+            catalogueElement('span', 'discount-badge', `${discount}% OFF`)
+        );
+    }
+
+    const period = `*Per ${this.config.feePeriod}`;
+    pricing.append(
+        priceContainer,
+        catalogueElement('div', 'pricing-note', course.pricing.note ? `${period} | ${course.pricing.note}` : period)
+    );
+
+    // Actions
+    const actions = catalogueElement('div', 'course-actions');
+    const enroll = catalogueElement('a', 'btn btn-primary btn-enroll', 'Enroll Now');
+    enroll.href = this.config.enrollUrl;
+    const demo = catalogueElement('button', 'btn btn-outline-primary btn-demo', 'Free Demo');
+    demo.type = 'button';
+    demo.dataset.modal = this.config.demoModal;
+    actions.append(enroll, demo);
+
+    // Stats
+    const stats = catalogueElement('div', 'course-stats');
+    course.stats.forEach(stat => {
+        const item = catalogueElement('div', 'stat-item');
+        item.append(
+            catalogueElement('div', 'stat-number', stat.value),
+            catalogueElement('div', 'stat-label', stat.label)
+        );
+        stats.appendChild(item);
+    });
+
+    details.append(header, catalogueElement('p', 'course-description', course.description), features, pricing, actions, stats);
+    return details;
+};
+
+// Columns for the given courses (all of them by default). Rows where every column
+// says the same get .is-identical, the others .is-different (compare.js)
+CourseCatalogue.renderComparison = function(table, courses = this.courses) {
+    const thead = catalogueElement('thead');
+    const headRow = catalogueElement('tr');
+    headRow.appendChild(catalogueElement('th', null, 'Features'));
+    courses.forEach(course => {
+        const th = catalogueElement('th', null, course.name);
+        th.scope = 'col';
+        th.dataset.course = course.id;
+        headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+
+    const rows = this.config.comparisonRows.map(({ key, label }) => ({
+        label,
+        values: courses.map(course => course.comparison[key])
+    }));
+    rows.push({
+        label: 'Investment',
+        className: 'price-row',
+        values: courses.map(course => `${this.formatFee(course.pricing.fee)}/${this.config.feePeriod}`)
+    });
+
+    const tbody = catalogueElement('tbody');
+    rows.forEach(({ label, className, values }) => {
+        const row = catalogueElement('tr', className);
+        row.appendChild(catalogueElement('td', null, label));
+
+        if (courses.length > 1) {
+            const identical = values.every(value => value === values[0]);
+            row.classList.add(identical ? 'is-identical' : 'is-different');
+        }
+
+        values.forEach(value => {
+            const cell = catalogueElement('td');
+
+            if (value === true) {
+                cell.appendChild(catalogueIcon('fa-check', 'text-success'));
+                cell.appendChild(catalogueElement('span', 'visually-hidden', 'Included'));
+            } else if (value === false || value === undefined) {
+                cell.appendChild(catalogueIcon('fa-times', 'text-muted'));
+                cell.appendChild(catalogueElement('span', 'visually-hidden', 'Not included'));
+            } else {
+                cell.textContent = value;
+            }
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+
+    table.replaceChildren(thead, tbody);
+};
+
+// Keeps the placeholder option (value="") written in the page
+CourseCatalogue.renderSelectOptions = function(select) {
+    Array.from(select.options).forEach(option => {
+        if (option.value !== '') option.remove();
+    });
+
+    this.courses.forEach(course => select.add(new Option(course.name, course.value)));
+};
+
+// The group's data-course-radios attribute names the radio inputs
+CourseCatalogue.renderRadioOptions = function(group) {
+    const name = group.dataset.courseRadios;
+    group.textContent = '';
+
+    this.courses.forEach((course, index) => {
+        const option = catalogueElement('div', 'course-option');
+        const inputId = course.id.replace(/-/g, '');
+
+        const input = catalogueElement('input');
+        input.type = 'radio';
+        input.id = inputId;
+        input.name = name;
+        input.value = course.value;
+        // One required radio makes the whole group required
+        if (index === 0) input.required = true;
+
+        const label = catalogueElement('label', 'course-card');
+        label.htmlFor = inputId;
+        const icon = catalogueElement('div', 'course-icon');
+        icon.appendChild(catalogueIcon(course.icon));
+        label.append(icon, catalogueElement('h5', null, course.name), catalogueElement('p', null, course.tagline));
+
+        option.append(input, label);
+        group.appendChild(option);
+    });
+};
+
+CourseCatalogue.renderFeeList = function(list) {
+    list.textContent = '';
+
+    this.courses.forEach(course => {
+        const item = catalogueElement('li');
+        const note = course.pricing.faqNote ? ` (${course.pricing.faqNote})` : '';
+        item.append(
+            catalogueElement('strong', null, `${course.name} Program:`),
+            ` ${this.formatFee(course.pricing.fee)}/${this.config.feePeriod}${note}`
+        );
+        list.appendChild(item);
+    });
+};
+
+// The placeholders are already parsed when this script runs, so forms, the wizard
+// and draft restore all see the rendered options on DOMContentLoaded
+CourseCatalogue.render();
+
+// Export for use in other scripts
+window.CourseCatalogue = CourseCatalogue;
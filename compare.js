@@ -0,0 +1,423 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - compare.js (Course Comparison)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Pick 2-4 courses from the cards and see them
+ *              side by side. The picks follow the visitor
+ *              between pages and can be shared as a link
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. COURSE COMPARE
+// ========================
+
+// The selection is a list of catalogue ids, kept in sessionStorage for the tab and
+// in the URL (?compare=iit-jee&compare=neet) while the comparison view is open
+const CourseCompare = {
+    // Configuration
+    config: {
+        storageKey: 'rootsAcademy.compare',
+        urlParam: 'compare',
+        minItems: 2,
+        maxItems: 4,
+        comparePage: 'courses.html',
+        sectionId: 'course-comparison',
+        actionsSelector: '.course-detailed-card .course-actions',
+        tableSelector: '[data-course-comparison]',
+        statusSelector: '[data-compare-status]',
+        hideIdenticalSelector: '[data-compare-hide-identical]',
+        messages: {
+            toggle: 'Compare',
+            open: 'Compare ({count})',
+            pickMore: 'Pick at least {min} programs to compare',
+            ready: '{count} programs selected',
+            limit: 'You can compare up to {max} programs at a time',
+            remove: 'Remove {name} from comparison',
+            clear: 'Clear',
+            idle: 'Tick "Compare" on any two programs above to see just those side by side.',
+            comparing: 'Comparing {names}',
+            copied: 'Link copied - paste it anywhere to share this comparison',
+            copyFailed: 'Copy this link to share: {url}'
+        }
+    },
+
+    // State
+    selection: [],
+    active: false,
+    hideIdentical: false,
+    tray: null,
+    initialized: false,
+
+    init() {
+        if (this.initialized || typeof CourseCatalogue === 'undefined') return;
+        this.initialized = true;
+
+        this.selection = this.load();
+        this.createTray();
+        this.bindEvents();
+        this.refresh();
+    },
+
+    // The page-level parts: card toggles and the comparison table. PageRouter calls this after each swap
+    refresh() {
+        if (!this.initialized) return;
+
+        // A shared link wins over whatever this tab had picked
+        const fromUrl = this.readUrl();
+        this.active = fromUrl.length >= this.config.minItems;
+        if (this.active) {
+            this.selection = fromUrl;
+            this.save();
+        }
+
+        this.decorateCards();
+        this.renderView();
+        this.renderTray();
+    },
+
+    isSelected(id) {
+        return this.selection.includes(id);
+    },
+
+    // Returns false when the selection is already full
+    add(id) {
+        if (this.isSelected(id)) return true;
+        if (this.selection.length >= this.config.maxItems) {
+            this.announce(this.format('limit', { max: this.config.maxItems }));
+            return false;
+        }
+
+        this.selection.push(id);
+        this.update();
+        return true;
+    },
+
+    remove(id) {
+        this.selection = this.selection.filter(item => item !== id);
+        this.update();
+    },
+
+    clear() {
+        this.selection = [];
+        this.update();
+    },
+
+    update() {
+        this.save();
+
+        // Removing down to one course leaves nothing to compare against
+        if (this.active && this.selection.length < this.config.minItems) this.active = false;
+        if (this.hasView()) this.writeUrl();
+
+        this.syncToggles();
+        this.renderView();
+        this.renderTray();
+
+        window.dispatchEvent(new CustomEvent('compare:change', {
+            detail: { selection: this.selection.slice(), active: this.active }
+        }));
+    },
+
+    // Narrows the table on this page, or goes to the courses page when there isn't one here
+    open() {
+        if (this.selection.length < this.config.minItems) return;
+
+        if (!this.hasView()) {
+            location.assign(this.getShareUrl());
+            return;
+        }
+
+        this.active = true;
+        this.writeUrl();
+        this.renderView();
+
+        const section = document.getElementById(this.config.sectionId);
+        if (section && typeof scrollToElement === 'function') scrollToElement(section);
+    },
+
+    showAll() {
+        this.active = false;
+        this.writeUrl();
+        this.renderView();
+    },
+
+    getCourses() {
+        return this.selection.map(id => CourseCatalogue.get(id)).filter(Boolean);
+    },
+
+    format(key, values) {
+        return Object.entries(values).reduce(
+            (text, [name, value]) => text.replace(`{${name}}`, value),
+            this.config.messages[key]
+        );
+    }
+};
+
+// ========================
+// 2. PERSISTENCE & URL
+// ========================
+
+CourseCompare.load = function() {
+    try {
+        return this.sanitize(JSON.parse(sessionStorage.getItem(this.config.storageKey)) || []);
+    } catch (error) {
+        return [];
+    }
+};
+
+CourseCompare.save = function() {
+    try {
+        sessionStorage.setItem(this.config.storageKey, JSON.stringify(this.selection));
+    } catch (error) {
+        // Storage can be full or disabled; the picks then last until the next full page load
+    }
+};
+
+// Courses that were renamed or retired since the link was made are dropped
+CourseCompare.sanitize = function(ids) {
+    return [...new Set(ids)]
+        .filter(id => CourseCatalogue.get(id) && CourseCatalogue.get(id).id === id)
+        .slice(0, this.config.maxItems);
+};
+
+CourseCompare.readUrl = function() {
+    return this.sanitize(new URLSearchParams(location.search).getAll(this.config.urlParam));
+};
+
+// Replaces the current entry and keeps the course filters' parameters (filters.js)
+CourseCompare.writeUrl = function() {
+    const params = new URLSearchParams(location.search);
+    params.delete(this.config.urlParam);
+    if (this.active) this.selection.forEach(id => params.append(this.config.urlParam, id));
+
+    const query = params.toString();
+    history.replaceState(history.state, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+};
+
+CourseCompare.getShareUrl = function() {
+    const url = new URL(this.config.comparePage, location.href);
+    this.selection.forEach(id => url.searchParams.append(this.config.urlParam, id));
+    url.hash = this.config.sectionId;
+    return url.href;
+};
+
+CourseCompare.copyLink = function() {
+    const url = this.getShareUrl();
+    const fallback = () => this.setStatus(this.format('copyFailed', { url }));
+
+    if (!navigator.clipboard) {
+        fallback();
+        return;
+    }
+
+    navigator.clipboard.writeText(url)
+        .then(() => this.setStatus(this.config.messages.copied))
+        .catch(fallback);
+};
+
+// ========================
+// 3. CARD TOGGLES & EVENTS
+// ========================
+
+function createCompareElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text) el.textContent = text;
+    return el;
+}
+
+CourseCompare.decorateCards = function() {
+    document.querySelectorAll(this.config.actionsSelector).forEach(actions => {
+        const card = actions.closest('.course-detailed-card');
+        if (!card || actions.querySelector('[data-compare-toggle]')) return;
+
+        const toggle = createCompareElement('label', 'compare-toggle');
+        const input = createCompareElement('input');
+        input.type = 'checkbox';
+        input.value = card.id;
+        input.dataset.compareToggle = '';
+        input.checked = this.isSelected(card.id);
+        toggle.append(input, createCompareElement('span', null, this.config.messages.toggle));
+        actions.appendChild(toggle);
+    });
+};
+
+CourseCompare.syncToggles = function() {
+    document.querySelectorAll('[data-compare-toggle]').forEach(input => {
+        input.checked = this.isSelected(input.value);
+    });
+};
+
+// Delegated once for the whole visit, so the toggles and table controls work on every swapped-in page
+CourseCompare.bindEvents = function() {
+    document.addEventListener('change', e => {
+        const target = e.target;
+
+        if (target.matches('[data-compare-toggle]')) {
+            if (target.checked) {
+                target.checked = this.add(target.value);
+            } else {
+                this.remove(target.value);
+            }
+        } else if (target.matches(this.config.hideIdenticalSelector)) {
+            this.hideIdentical = target.checked;
+            this.renderView();
+        }
+    });
+
+    document.addEventListener('click', e => {
+        const action = e.target.closest('[data-compare-action]');
+        if (!action) return;
+
+        const name = action.dataset.compareAction;
+        if (name === 'open') {
+            // Elsewhere the link itself goes to the courses page, through PageRouter when it's running
+            if (!this.hasView() && this.selection.length >= this.config.minItems) return;
+            e.preventDefault();
+            this.open();
+        } else if (name === 'remove') {
+            this.remove(action.dataset.course);
+        } else if (name === 'clear') {
+            this.clear();
+        } else if (name === 'show-all') {
+            this.showAll();
+        } else if (name === 'copy-link') {
+            this.copyLink();
+        }
+    });
+};
+
+// ========================
+// 4. COMPARISON VIEW
+// ========================
+
+CourseCompare.hasView = function() {
+    return Boolean(document.querySelector(this.config.tableSelector));
+};
+
+CourseCompare.renderView = function() {
+    const table = document.querySelector(this.config.tableSelector);
+    if (!table) return;
+
+    const courses = this.active ? this.getCourses() : CourseCatalogue.courses;
+    CourseCatalogue.renderComparison(table, courses);
+    table.classList.toggle('is-comparing', this.active);
+    table.classList.toggle('hide-identical', this.hideIdentical);
+
+    if (this.active) {
+        table.querySelectorAll('th[data-course]').forEach(th => {
+            th.appendChild(this.createRemoveButton(CourseCatalogue.get(th.dataset.course)));
+        });
+    }
+
+    const hideIdentical = document.querySelector(this.config.hideIdenticalSelector);
+    if (hideIdentical) hideIdentical.checked = this.hideIdentical;
+
+    document.querySelectorAll('[data-compare-action="show-all"], [data-compare-action="copy-link"]').forEach(button => {
+        button.hidden = !this.active;
+    });
+
+    this.setStatus(this.active
+        ? this.format('comparing', { names: courses.map(course => course.name).join(', ') })
+        : this.config.messages.idle);
+};
+
+CourseCompare.createRemoveButton = function(course) {
+    const remove = createCompareElement('button', 'compare-remove');
+    remove.type = 'button';
+    remove.dataset.compareAction = 'remove';
+    remove.dataset.course = course.id;
+    remove.setAttribute('aria-label', this.format('remove', { name: course.name }));
+
+    const icon = createCompareElement('i', 'fas fa-times');
+    icon.setAttribute('aria-hidden', 'true');
+    remove.appendChild(icon);
+    return remove;
+};
+
+CourseCompare.setStatus = function(text) {
+    const status = document.querySelector(this.config.statusSelector);
+    if (status) status.textContent = text;
+};
+
+// ========================
+// 5. COMPARE TRAY
+// ========================
+
+// Lives outside <main>, so it stays put while PageRouter swaps pages
+CourseCompare.createTray = function() {
+    const tray = createCompareElement('div', 'compare-tray');
+    tray.setAttribute('role', 'region');
+    tray.setAttribute('aria-label', 'Course comparison');
+    tray.hidden = true;
+
+    const items = createCompareElement('ul', 'compare-tray-items');
+    const status = createCompareElement('p', 'compare-tray-status');
+    status.setAttribute('aria-live', 'polite');
+
+    const clear = createCompareElement('button', 'btn btn-link btn-sm', this.config.messages.clear);
+    clear.type = 'button';
+    clear.dataset.compareAction = 'clear';
+
+    const open = createCompareElement('a', 'btn btn-primary btn-sm compare-open');
+    open.dataset.compareAction = 'open';
+    open.dataset.track = 'compare';
+
+    const actions = createCompareElement('div', 'compare-tray-actions');
+    actions.append(clear, open);
+
+    tray.append(items, status, actions);
+    document.body.appendChild(tray);
+    this.tray = tray;
+};
+
+CourseCompare.renderTray = function() {
+    const tray = this.tray;
+    if (!tray) return;
+
+    const count = this.selection.length;
+    tray.hidden = count === 0;
+    document.body.classList.toggle('compare-tray-open', count > 0);
+
+    const items = tray.querySelector('.compare-tray-items');
+    items.textContent = '';
+    this.getCourses().forEach(course => {
+        const item = createCompareElement('li', 'compare-tray-item');
+        item.append(createCompareElement('span', null, course.name), this.createRemoveButton(course));
+        items.appendChild(item);
+    });
+
+    const ready = count >= this.config.minItems;
+    const open = tray.querySelector('.compare-open');
+    open.textContent = this.format('open', { count });
+    open.classList.toggle('disabled', !ready);
+    open.setAttribute('aria-disabled', String(!ready));
+    if (ready) {
+        open.href = this.getShareUrl();
+    } else {
+        open.removeAttribute('href');
+    }
+
+    this.announce(ready
+        ? this.format('ready', { count })
+        : this.format('pickMore', { min: this.config.minItems }));
+};
+
+CourseCompare.announce = function(text) {
+    if (!this.tray) return;
+
+    // Page swaps re-render the tray; unchanged text shouldn't be read out again
+    const status = this.tray.querySelector('.compare-tray-status');
+    if (status.textContent !== text) status.textContent = text;
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    CourseCompare.init();
+});
+
+// Export for use in other scripts
+window.CourseCompare = CourseCompare;
@@ -0,0 +1,437 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - consent.js (Consent & Privacy Controls)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: First-visit consent banner, granular consent
+ *              categories and a versioned consent record that
+ *              other modules wait on before they activate
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. CONSENT MANAGER
+// ========================
+
+const ConsentManager = {
+    // Configuration
+    config: {
+        storageKey: 'rootsAcademy.consent',
+        // Bump when categories or their purposes change; older records are asked again
+        version: '2025.1',
+        categories: {
+            essential: {
+                label: 'Essential',
+                description: 'Keeps forms, saved drafts and your privacy choices working. Always on.',
+                required: true
+            },
+            analytics: {
+                label: 'Analytics',
+                description: 'Anonymous page views and clicks that help us improve the site.'
+            },
+            marketing: {
+                label: 'Marketing',
+                description: 'Campaign attribution, newsletter sign-up and embedded YouTube videos.'
+            }
+        },
+        messages: {
+            intro: 'We use essential storage to run this site. With your permission we would also like to measure visits and remember how you found us.',
+            acceptAll: 'Accept all',
+            essentialOnly: 'Essential only',
+            customise: 'Customise',
+            save: 'Save choices',
+            withdraw: 'Withdraw consent',
+            embedBlocked: 'This video is hosted on YouTube, which may set cookies on your device.',
+            embedAllow: 'Allow marketing cookies and play',
+            optInNotice: 'Signing up needs {category} consent, which also covers: {purposes}',
+            optInAllow: 'Allow {category} and sign up',
+            optInDecline: 'No thanks'
+        }
+    },
+
+    // State
+    record: undefined,
+    pending: [],
+    banner: null,
+    controlsBound: false,
+    submissionsAttached: false,
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        if (!this.getRecord()) {
+            this.showBanner();
+        }
+
+        document.addEventListener('click', e => {
+            if (e.target.closest('[data-consent-preferences]')) {
+                e.preventDefault();
+                this.openPreferences();
+            }
+        });
+
+        this.bindControls();
+        this.activateEmbeds();
+        this.attachToSubmissions();
+    },
+
+    getRecord() {
+        if (this.record !== undefined) return this.record;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.config.storageKey));
+            this.record = stored && stored.version === this.config.version ? stored : null;
+        } catch (error) {
+            this.record = null;
+        }
+
+        return this.record;
+    },
+
+    has(category) {
+        if (this.config.categories[category] && this.config.categories[category].required) return true;
+
+        const record = this.getRecord();
+        return Boolean(record && record.categories[category]);
+    },
+
+    // Runs the callback now, or once the category is granted
+    whenGranted(category, callback) {
+        if (this.has(category)) {
+            callback();
+        } else {
+            this.pending.push({ category, callback });
+        }
+    },
+
+    save(categories, method) {
+        const previous = this.getRecord();
+        const granted = {};
+
+        Object.entries(this.config.categories).forEach(([name, category]) => {
+            granted[name] = Boolean(category.required || categories[name]);
+        });
+
+        this.record = {
+            version: this.config.version,
+            timestamp: new Date().toISOString(),
+            method,
+            categories: granted
+        };
+
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(this.record));
+        } catch (error) {
+            // Without storage the choice only lasts for this page view
+        }
+
+        this.hideBanner();
+        this.notify(previous);
+        return this.record;
+    },
+
+    acceptAll() {
+        return this.save({ analytics: true, marketing: true }, 'accept-all');
+    },
+
+    rejectAll() {
+        return this.save({}, 'essential-only');
+    },
+
+    // Grant or revoke individual categories, keeping the rest of the current choice
+    update(categories, method = 'update') {
+        const current = this.getRecord();
+        return this.save({ ...(current ? current.categories : {}), ...categories }, method);
+    },
+
+    // Withdrawal is recorded rather than deleted so there is proof of when it happened
+    withdraw() {
+        return this.save({}, 'withdrawn');
+    },
+
+    notify(previous) {
+        const categories = this.record.categories;
+
+        const ready = this.pending.filter(entry => this.has(entry.category));
+        this.pending = this.pending.filter(entry => !this.has(entry.category));
+        ready.forEach(entry => entry.callback());
+
+        window.dispatchEvent(new CustomEvent('consent:change', {
+            detail: { categories, previous: previous ? previous.categories : null }
+        }));
+    }
+};
+
+// ========================
+// 2. BANNER & PREFERENCES
+// ========================
+
+ConsentManager.buildBanner = function() {
+    const { messages, categories } = this.config;
+
+    const banner = document.createElement('div');
+    banner.className = 'consent-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', 'Privacy preferences');
+    banner.hidden = true;
+
+    const options = Object.entries(categories).map(([name, category]) => `
+        <div class="form-check form-switch consent-option">
+            <input class="form-check-input" type="checkbox" role="switch" id="consent-${name}" name="${name}"${category.required ? ' checked disabled' : ''}>
+            <label class="form-check-label" for="consent-${name}">${category.label}</label>
+            <small class="consent-description">${category.description}</small>
+        </div>`).join('');
+
+    banner.innerHTML = `
+        <div class="container consent-content">
+            <p class="consent-text">${messages.intro}</p>
+            <div class="consent-options" hidden>${options}
+            </div>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-link consent-withdraw" data-consent-action="withdraw" hidden>${messages.withdraw}</button>
+                <button type="button" class="btn btn-outline-light consent-toggle" data-consent-action="customise">${messages.customise}</button>
+                <button type="button" class="btn btn-outline-light" data-consent-action="essential">${messages.essentialOnly}</button>
+                <button type="button" class="btn btn-primary" data-consent-action="accept">${messages.acceptAll}</button>
+            </div>
+        </div>`;
+
+    banner.addEventListener('click', e => {
+        const action = e.target.closest('[data-consent-action]');
+        if (!action) return;
+
+        switch (action.dataset.consentAction) {
+            case 'accept':
+                this.acceptAll();
+                break;
+            case 'essential':
+                this.rejectAll();
+                break;
+            case 'customise':
+                this.expandPreferences();
+                break;
+            case 'save':
+                this.save(this.readSwitches(), 'customised');
+                break;
+            case 'withdraw':
+                this.withdraw();
+                break;
+        }
+    });
+
+    document.body.appendChild(banner);
+    this.banner = banner;
+    return banner;
+};
+
+ConsentManager.showBanner = function() {
+    const banner = this.banner || this.buildBanner();
+    const record = this.getRecord();
+    const hasOptional = record && Object.entries(record.categories)
+        .some(([name, granted]) => granted && !this.config.categories[name].required);
+
+    banner.querySelector('.consent-withdraw').hidden = !hasOptional;
+    banner.hidden = false;
+    document.body.classList.add('consent-open');
+};
+
+ConsentManager.hideBanner = function() {
+    if (!this.banner) return;
+
+    this.banner.hidden = true;
+    this.collapsePreferences();
+    document.body.classList.remove('consent-open');
+};
+
+ConsentManager.collapsePreferences = function() {
+    const toggle = this.banner.querySelector('.consent-toggle');
+
+    this.banner.querySelector('.consent-options').hidden = true;
+    toggle.dataset.consentAction = 'customise';
+    toggle.textContent = this.config.messages.customise;
+};
+
+ConsentManager.expandPreferences = function() {
+    const record = this.getRecord();
+    const options = this.banner.querySelector('.consent-options');
+    const toggle = this.banner.querySelector('.consent-toggle');
+
+    options.querySelectorAll('input:not([disabled])').forEach(input => {
+        input.checked = Boolean(record && record.categories[input.name]);
+    });
+
+    options.hidden = false;
+    toggle.dataset.consentAction = 'save';
+    toggle.textContent = this.config.messages.save;
+
+    const firstSwitch = options.querySelector('input:not([disabled])');
+    if (firstSwitch) firstSwitch.focus();
+};
+
+ConsentManager.openPreferences = function() {
+    this.showBanner();
+    this.expandPreferences();
+};
+
+ConsentManager.readSwitches = function() {
+    const choices = {};
+    this.banner.querySelectorAll('.consent-options input').forEach(input => {
+        choices[input.name] = input.checked;
+    });
+    return choices;
+};
+
+// ========================
+// 3. CONSENT-GATED FEATURES
+// ========================
+
+// Opt-in checkboxes (e.g. newsletter) tied to a category. The category covers more
+// than the checkbox, so ticking it asks before granting; withdrawing the category
+// unticks it again
+ConsentManager.bindControls = function() {
+    const controls = document.querySelectorAll('input[type="checkbox"][data-consent-category]');
+
+    controls.forEach(control => {
+        control.addEventListener('change', () => {
+            if (!control.checked || this.has(control.dataset.consentCategory)) {
+                this.hideOptInPrompt(control);
+                return;
+            }
+
+            control.checked = false;
+            this.showOptInPrompt(control);
+        });
+    });
+
+    // Bound once and queried live, so it also covers controls from pages PageRouter swaps in
+    if (this.controlsBound) return;
+    this.controlsBound = true;
+
+    window.addEventListener('consent:change', () => {
+        document.querySelectorAll('input[type="checkbox"][data-consent-category]').forEach(control => {
+            if (!this.has(control.dataset.consentCategory)) control.checked = false;
+        });
+    });
+};
+
+ConsentManager.showOptInPrompt = function(control) {
+    const { messages, categories } = this.config;
+    const name = control.dataset.consentCategory;
+    const category = categories[name];
+    const label = category ? category.label.toLowerCase() : name;
+    const anchor = control.closest('.form-check') || control;
+
+    if (anchor.nextElementSibling && anchor.nextElementSibling.classList.contains('consent-optin')) {
+        anchor.nextElementSibling.querySelector('button').focus();
+        return;
+    }
+
+    const prompt = document.createElement('div');
+    prompt.className = 'consent-optin';
+    prompt.setAttribute('role', 'group');
+    prompt.setAttribute('aria-label', 'Consent needed');
+
+    const notice = document.createElement('p');
+    notice.textContent = messages.optInNotice
+        .replace('{category}', label)
+        .replace('{purposes}', category ? category.description : '');
+
+    const allow = document.createElement('button');
+    allow.type = 'button';
+    allow.className = 'btn btn-primary btn-sm';
+    allow.textContent = messages.optInAllow.replace('{category}', label);
+    allow.addEventListener('click', () => {
+        // Cookie settings may have granted it in the meantime
+        if (!this.has(name)) this.update({ [name]: true }, 'opt-in');
+        control.checked = true;
+        this.hideOptInPrompt(control);
+        control.focus();
+    });
+
+    const decline = document.createElement('button');
+    decline.type = 'button';
+    decline.className = 'btn btn-link btn-sm';
+    decline.textContent = messages.optInDecline;
+    decline.addEventListener('click', () => {
+        this.hideOptInPrompt(control);
+        control.focus();
+    });
+
+    prompt.append(notice, allow, decline);
+    anchor.after(prompt);
+    allow.focus();
+};
+
+ConsentManager.hideOptInPrompt = function(control) {
+    const anchor = control.closest('.form-check') || control;
+    const prompt = anchor.nextElementSibling;
+    if (prompt && prompt.classList.contains('consent-optin')) prompt.remove();
+};
+
+// <iframe data-consent-src="..." data-consent-category="marketing"> only loads once granted
+ConsentManager.activateEmbeds = function() {
+    document.querySelectorAll('iframe[data-consent-src]').forEach(frame => {
+        const category = frame.dataset.consentCategory || 'marketing';
+        const placeholder = document.createElement('div');
+
+        placeholder.className = 'consent-placeholder';
+        placeholder.innerHTML = `
+            <p>${this.config.messages.embedBlocked}</p>
+            <button type="button" class="btn btn-primary btn-sm">${this.config.messages.embedAllow}</button>`;
+        placeholder.querySelector('button').addEventListener('click', () => {
+            this.update({ [category]: true }, 'embed');
+        });
+        frame.before(placeholder);
+
+        const sync = () => {
+            const granted = this.has(category);
+
+            placeholder.hidden = granted;
+            frame.hidden = !granted;
+
+            if (granted && !frame.getAttribute('src')) {
+                frame.setAttribute('src', frame.dataset.consentSrc);
+            } else if (!granted) {
+                frame.removeAttribute('src');
+            }
+        };
+
+        sync();
+        window.addEventListener('consent:change', sync);
+    });
+};
+
+// Leads carry the consent version they were given under. PageRouter calls this again
+// after each swap, since submission.js may only arrive with a later page
+ConsentManager.attachToSubmissions = function() {
+    if (this.submissionsAttached || typeof SubmissionManager === 'undefined') return;
+    this.submissionsAttached = true;
+
+    SubmissionManager.addEnricher((data, form) => {
+        const record = this.getRecord();
+        const payload = { ...data, consent_version: this.config.version };
+
+        if (record) payload.consent_at = record.timestamp;
+
+        // Never send an opt-in whose category has since been withdrawn
+        form.querySelectorAll('[data-consent-category]').forEach(control => {
+            if (!this.has(control.dataset.consentCategory)) delete payload[control.name];
+        });
+
+        return payload;
+    });
+};
+
+// ========================
+// 4. INITIALIZATION
+// ========================
+
+document.addEventListener('DOMContentLoaded', () => {
+    ConsentManager.init();
+});
+
+// Export for use in other scripts
+window.ConsentManager = ConsentManager;
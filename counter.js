@@ -0,0 +1,229 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - counter.js (Animated Counters)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Counts .counter elements up to their value
+ *              when they scroll into view, with easing,
+ *              decimals, prefixes/suffixes and Indian number
+ *              formats, and counts again when data changes
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. VALUE PARSING & FORMATTING
+// ========================
+
+// "98%" -> 98 with suffix "%", "₹45,000" -> 45000 with prefix "₹", "4.8" -> 4.8 with one decimal
+function parseCounterValue(text) {
+    const match = /^(\D*?)(-?[\d,]*\.?\d+)(.*)$/.exec(String(text == null ? '' : text).trim());
+    if (!match) return { value: 0, decimals: 0, prefix: '', suffix: '' };
+
+    const number = match[2].replace(/,/g, '');
+    const point = number.indexOf('.');
+
+    return {
+        value: parseFloat(number),
+        decimals: point === -1 ? 0 : number.length - point - 1,
+        prefix: match[1],
+        suffix: match[3]
+    };
+}
+
+const CounterFormats = {
+    // 1,23,456 - Indian digit grouping
+    grouped(value, decimals) {
+        return value.toLocaleString('en-IN', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    },
+
+    // 12.5 L, 1.2 Cr - lakh and crore, as fees and packages are usually quoted
+    compact(value, decimals) {
+        const units = [
+            { size: 10000000, label: ' Cr' },
+            { size: 100000, label: ' L' }
+        ];
+        const unit = units.find(item => Math.abs(value) >= item.size);
+        if (!unit) return CounterFormats.grouped(value, 0);
+
+        return (value / unit.size).toLocaleString('en-IN', { maximumFractionDigits: Math.max(decimals, 1) }) + unit.label;
+    },
+
+    plain(value, decimals) {
+        return value.toFixed(decimals);
+    }
+};
+
+const CounterEasings = {
+    linear: t => t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutExpo: t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t))
+};
+
+// ========================
+// 2. ANIMATED COUNTER
+// ========================
+
+// Markup: <span class="counter" data-target="98%" data-from="50" data-decimals="1"
+//               data-prefix="₹" data-suffix="+" data-format="compact" data-easing="linear" data-duration="1500">0</span>
+// Prefix, suffix and decimals default to whatever data-target is written with
+class AnimatedCounter {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.frame = null;
+        this.started = false;
+
+        const data = element.dataset;
+        const target = parseCounterValue(data.target);
+
+        // Configuration
+        this.config = {
+            decimals: data.decimals !== undefined ? Number(data.decimals) : target.decimals,
+            prefix: data.prefix !== undefined ? data.prefix : target.prefix,
+            suffix: data.suffix !== undefined ? data.suffix : target.suffix,
+            format: CounterFormats[data.format] ? data.format : 'grouped',
+            easing: CounterEasings[data.easing] ? data.easing : CounterManager.config.easing,
+            duration: Number(data.duration) || CounterManager.config.duration,
+            ...options
+        };
+
+        this.from = data.from !== undefined ? parseCounterValue(data.from).value : 0;
+        this.target = target.value;
+        this.value = this.from;
+
+        element.counter = this;
+    }
+
+    format(value) {
+        const { prefix, suffix, decimals, format } = this.config;
+        return `${prefix}${CounterFormats[format](value, decimals)}${suffix}`;
+    }
+
+    render(value) {
+        this.value = value;
+        this.element.textContent = this.format(value);
+    }
+
+    // Counts from the current value to the target; reduced motion shows the target straight away
+    start() {
+        this.started = true;
+        cancelAnimationFrame(this.frame);
+
+        const from = this.value;
+        const to = this.target;
+        const ease = CounterEasings[this.config.easing];
+
+        if (from === to || window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.render(to);
+            return;
+        }
+
+        const startTime = performance.now();
+        this.element.classList.add('counting');
+
+        const step = now => {
+            const progress = Math.min((now - startTime) / this.config.duration, 1);
+            this.render(progress === 1 ? to : from + (to - from) * ease(progress));
+
+            if (progress < 1) {
+                this.frame = requestAnimationFrame(step);
+            } else {
+                this.frame = null;
+                this.element.classList.remove('counting');
+            }
+        };
+
+        this.frame = requestAnimationFrame(step);
+    }
+
+    // New data: a counter already on screen counts on from where it is; one that
+    // hasn't been seen yet just gets the new target
+    update(value) {
+        const parsed = parseCounterValue(value);
+        this.target = parsed.value;
+        this.element.dataset.target = value;
+
+        if (this.started) this.start();
+    }
+
+    destroy() {
+        cancelAnimationFrame(this.frame);
+        this.element.classList.remove('counting');
+        delete this.element.counter;
+    }
+}
+
+// ========================
+// 3. COUNTER MANAGER
+// ========================
+
+const CounterManager = {
+    // Configuration
+    config: {
+        selector: '.counter',
+        duration: 2000,
+        easing: 'easeOutCubic',
+        threshold: 0.7
+    },
+
+    // State
+    counters: new Set(),
+    observer: null,
+
+    init(root = document) {
+        root.querySelectorAll(this.config.selector).forEach(element => this.create(element));
+    },
+
+    create(element, options) {
+        if (element.counter) return element.counter;
+
+        const counter = new AnimatedCounter(element, options);
+        this.counters.add(counter);
+        this.observe(counter);
+        return counter;
+    },
+
+    // Count once, the first time most of the number is on screen
+    observe(counter) {
+        if (!('IntersectionObserver' in window)) {
+            counter.start();
+            return;
+        }
+
+        if (!this.observer) {
+            this.observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.observer.unobserve(entry.target);
+                    if (entry.target.counter) entry.target.counter.start();
+                });
+            }, { threshold: this.config.threshold });
+        }
+        this.observer.observe(counter.element);
+    },
+
+    // For data sources (explorer.js): sets the value whether or not the counter exists yet
+    update(element, value) {
+        if (element.counter) {
+            element.counter.update(value);
+        } else {
+            element.dataset.target = value;
+        }
+    },
+
+    // Called by PageRouter before the current <main> is replaced
+    destroyAll() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.counters.forEach(counter => counter.destroy());
+        this.counters.clear();
+    }
+};
+
+// Export for use in other scripts
+window.AnimatedCounter = AnimatedCounter;
+window.CounterManager = CounterManager;
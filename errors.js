@@ -0,0 +1,282 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - errors.js (Client Error Reporting)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Captures script errors, failed resources and
+ *              unhandled rejections with breadcrumbs, then
+ *              deduplicates, rate-limits and batches reports
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. TRANSPORTS
+// ========================
+
+// A transport implements send(reports)
+
+const beaconReportTransport = {
+    send(reports, endpoint) {
+        const body = JSON.stringify({ reports });
+
+        if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+
+        fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(() => {});
+    }
+};
+
+// Collects reports in memory so the pipeline can be checked without a server
+function createMockReceiver() {
+    return {
+        reports: [],
+        batches: 0,
+
+        send(reports) {
+            this.batches++;
+            this.reports.push(...reports);
+            console.warn(`🧪 Mock error receiver got ${reports.length} report(s)`, reports);
+        }
+    };
+}
+
+// ========================
+// 2. ERROR REPORTER
+// ========================
+
+// <script src="errors.js" data-transport="mock" data-endpoint="..."> overrides config per page
+const reporterScript = document.currentScript;
+
+const ErrorReporter = {
+    // Configuration
+    config: {
+        endpoint: '/api/client-errors',
+        transport: 'beacon',
+        maxBreadcrumbs: 20,
+        batchSize: 5,
+        flushInterval: 3000,
+        rateLimit: {
+            max: 10,
+            window: 60 * 1000 // 1 minute
+        }
+    },
+
+    // State
+    transports: new Map([
+        ['beacon', beaconReportTransport],
+        ['mock', createMockReceiver()]
+    ]),
+    breadcrumbs: [],
+    queue: [],
+    seen: new Map(),
+    sentTimes: [],
+    flushTimer: null,
+    installed: false,
+
+    // Runs as soon as the script loads so errors in later scripts are caught
+    install() {
+        if (this.installed) return;
+        this.installed = true;
+
+        if (reporterScript) {
+            this.config.endpoint = reporterScript.dataset.endpoint || this.config.endpoint;
+            this.config.transport = reporterScript.dataset.transport || this.config.transport;
+        }
+
+        // Capture phase: failed <script>/<img>/<link> loads don't bubble
+        window.addEventListener('error', e => this.handleErrorEvent(e), true);
+        window.addEventListener('unhandledrejection', e => this.handleRejection(e));
+
+        this.bindBreadcrumbs();
+
+        window.addEventListener('pagehide', () => this.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+    },
+
+    registerTransport(name, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new TypeError(`Error transport "${name}" must implement send(reports)`);
+        }
+        this.transports.set(name, transport);
+    },
+
+    useTransport(name) {
+        this.flush();
+        this.config.transport = name;
+    },
+
+    addBreadcrumb(category, message, data = {}) {
+        this.breadcrumbs.push({ category, message, data, timestamp: new Date().toISOString() });
+
+        if (this.breadcrumbs.length > this.config.maxBreadcrumbs) {
+            this.breadcrumbs.shift();
+        }
+    },
+
+    handleErrorEvent(e) {
+        const target = e.target;
+
+        if (target && target !== window && (target.src || target.href)) {
+            const url = target.src || target.href;
+            this.capture({
+                type: 'resource',
+                message: `Failed to load ${target.tagName.toLowerCase()}: ${url}`,
+                source: url
+            });
+            return;
+        }
+
+        this.capture({
+            type: 'error',
+            message: e.message || String(e.error),
+            stack: e.error && e.error.stack,
+            source: e.filename,
+            line: e.lineno,
+            column: e.colno
+        });
+    },
+
+    handleRejection(e) {
+        const reason = e.reason;
+
+        this.capture({
+            type: 'unhandledrejection',
+            message: reason instanceof Error ? reason.message : `Unhandled rejection: ${String(reason)}`,
+            stack: reason instanceof Error ? reason.stack : undefined
+        });
+    },
+
+    // Manual reporting for caught errors that still matter
+    report(error, context = {}) {
+        this.capture({
+            type: 'manual',
+            message: error instanceof Error ? error.message : String(error),
+            stack: error instanceof Error ? error.stack : undefined,
+            context
+        });
+    },
+
+    getFingerprint(details) {
+        return [details.type, details.message, details.source || '', details.line || ''].join('|');
+    },
+
+    capture(details) {
+        const fingerprint = this.getFingerprint(details);
+
+        // Repeats of an error already seen on this page only bump its count
+        if (this.seen.has(fingerprint)) {
+            this.seen.get(fingerprint).count++;
+            return;
+        }
+
+        if (this.isRateLimited()) return;
+
+        const report = {
+            ...details,
+            fingerprint,
+            count: 1,
+            page: location.href.split('?')[0],
+            userAgent: navigator.userAgent,
+            timestamp: new Date().toISOString(),
+            breadcrumbs: this.breadcrumbs.slice()
+        };
+
+        this.seen.set(fingerprint, report);
+        this.sentTimes.push(Date.now());
+        this.queue.push(report);
+
+        if (this.queue.length >= this.config.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.config.flushInterval);
+        }
+    },
+
+    isRateLimited(now = Date.now()) {
+        this.sentTimes = this.sentTimes.filter(time => now - time < this.config.rateLimit.window);
+        return this.sentTimes.length >= this.config.rateLimit.max;
+    },
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (this.queue.length === 0) return;
+
+        const transport = this.transports.get(this.config.transport);
+        const reports = this.queue.splice(0);
+
+        try {
+            transport.send(reports, this.config.endpoint);
+        } catch (error) {
+            // Reporting must never throw back into the page
+        }
+    }
+};
+
+// ========================
+// 3. BREADCRUMBS
+// ========================
+
+ErrorReporter.describeElement = function(element) {
+    let description = element.tagName.toLowerCase();
+
+    if (element.id) description += `#${element.id}`;
+    if (typeof element.className === 'string' && element.className.trim()) {
+        description += `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`;
+    }
+
+    return description;
+};
+
+ErrorReporter.bindBreadcrumbs = function() {
+    this.addBreadcrumb('navigation', 'load', { to: location.pathname });
+
+    window.addEventListener('hashchange', () => {
+        this.addBreadcrumb('navigation', 'hashchange', { to: location.hash });
+    });
+
+    window.addEventListener('popstate', () => {
+        this.addBreadcrumb('navigation', 'popstate', { to: location.pathname });
+    });
+
+    // Element descriptors and link targets only; never field values
+    document.addEventListener('click', e => {
+        if (!(e.target instanceof Element)) return;
+
+        const element = e.target.closest('a, button, [role="button"], input, select, label') || e.target;
+        const data = { target: this.describeElement(element) };
+
+        if (element.tagName === 'A' && element.getAttribute('href')) {
+            data.href = element.getAttribute('href');
+        }
+
+        this.addBreadcrumb('click', data.target, data);
+    }, true);
+
+    document.addEventListener('wizard:change', e => {
+        this.addBreadcrumb('form', 'wizard step', { form: e.target.id, step: e.detail.step });
+    }, true);
+
+    ['submit', 'form:submitted', 'form:queued', 'form:failed', 'form:blocked'].forEach(type => {
+        document.addEventListener(type, e => {
+            this.addBreadcrumb('form', type, { form: e.target.id });
+        }, true);
+    });
+};
+
+ErrorReporter.install();
+
+// Export for use in other scripts
+window.ErrorReporter = ErrorReporter;
+window.createMockReceiver = createMockReceiver;
@@ -0,0 +1,841 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - explorer.js (Results Explorer)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Loads results.json and renders the results
+ *              page from it: counters, charts, the year-wise
+ *              timeline, top performers and placements, with
+ *              year/exam drill-down kept in the URL
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. RESULTS DATA
+// ========================
+
+// results.json is the only place result numbers are written down. Rates, totals and
+// growth are worked out here, so a counter and a chart can never disagree. The
+// overall rate for a year is the one the academy published, kept as it was written
+const ResultsData = {
+    url: 'results.json',
+    data: null,
+    request: null,
+
+    load() {
+        if (!this.request) {
+            this.request = fetch(this.url, { headers: { 'Accept': 'application/json' } })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Results request failed: ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.data = data;
+                    return this;
+                })
+                .catch(error => {
+                    // Let the next page visit try again
+                    this.request = null;
+                    throw error;
+                });
+        }
+        return this.request;
+    },
+
+    // Newest first
+    getYears() {
+        return this.data.years.map(entry => entry.year).sort((a, b) => b - a);
+    },
+
+    getYear(year) {
+        return this.data.years.find(entry => entry.year === Number(year)) || null;
+    },
+
+    getLatestYear() {
+        return this.getYears()[0];
+    },
+
+    getExams() {
+        return this.data.exams;
+    },
+
+    getExam(id) {
+        return this.data.exams.find(exam => exam.id === id) || null;
+    },
+
+    getRate(qualified, appeared) {
+        return appeared > 0 ? Math.round(qualified / appeared * 1000) / 10 : 0;
+    },
+
+    // One exam in one year, with the exam's name, colour and rank label alongside
+    getResult(year, examId) {
+        const entry = this.getYear(year);
+        const exam = this.getExam(examId);
+        if (!entry || !exam || !entry.exams[examId]) return null;
+
+        const result = entry.exams[examId];
+        return { ...exam, ...result, rate: this.getRate(result.qualified, result.appeared) };
+    },
+
+    // Totals for a year across every exam, or for one exam when examId is given
+    getTotals(year, examId = '') {
+        const entry = this.getYear(year);
+        if (!entry) return { appeared: 0, qualified: 0, rate: 0, published: false };
+
+        const ids = examId ? [examId] : Object.keys(entry.exams);
+        const totals = ids.reduce((sum, id) => {
+            const result = entry.exams[id];
+            if (result) {
+                sum.appeared += result.appeared;
+                sum.qualified += result.qualified;
+            }
+            return sum;
+        }, { appeared: 0, qualified: 0 });
+
+        // The published overall rate covers every student, not just the exams listed here
+        totals.published = !examId && typeof entry.successRate === 'number';
+        totals.rate = totals.published ? entry.successRate : this.getRate(totals.qualified, totals.appeared);
+        return totals;
+    },
+
+    // Chart items: the selection rate per exam for one year
+    getBreakdown(year) {
+        return this.getExams()
+            .map(exam => this.getResult(year, exam.id))
+            .filter(Boolean)
+            .map(result => ({
+                label: result.name,
+                value: result.rate,
+                color: result.color,
+                note: `${result.qualified.toLocaleString('en-IN')} of ${result.appeared.toLocaleString('en-IN')} qualified`
+            }));
+    },
+
+    // Chart items: the selection rate year by year, oldest first
+    getTrend(examId = '') {
+        return this.getYears().slice().reverse().map(year => {
+            const totals = this.getTotals(year, examId);
+            return {
+                label: String(year),
+                value: totals.rate,
+                note: totals.published ? null : `${totals.qualified.toLocaleString('en-IN')} of ${totals.appeared.toLocaleString('en-IN')} qualified`
+            };
+        });
+    },
+
+    // Best ranks first within each year, newest year first
+    getPerformers({ exam = '', rank = null, college = '' } = {}) {
+        return this.data.performers
+            .filter(performer => !exam || performer.exam === exam)
+            .filter(performer => !rank ||
+                ((rank.min === null || performer.rank >= rank.min) && (rank.max === null || performer.rank <= rank.max)))
+            .filter(performer => !college || slugify(performer.college) === college)
+            .sort((a, b) => b.year - a.year || a.rank - b.rank);
+    },
+
+    getColleges() {
+        return [...new Set(this.data.performers.map(performer => performer.college))].sort();
+    },
+
+    // Placement categories that go with an exam: engineering for IIT-JEE and EAMCET, medical for NEET
+    getPlacements(examId = '') {
+        const exam = this.getExam(examId);
+        return this.data.placements.filter(category => !exam || category.id === exam.category);
+    },
+
+    // Headline figures for [data-results-stat="..."] elements
+    getStat(key) {
+        const allTime = this.data.allTime;
+        const years = this.getYears();
+        const latest = this.getTotals(years[0]);
+        const previous = this.getTotals(years[1]);
+        const jee = this.getResult(years[0], 'iit-jee');
+
+        const stats = {
+            studentsTrained: allTime.studentsTrained,
+            admissions: allTime.admissions,
+            admissionRate: typeof allTime.successRate === 'number'
+                ? allTime.successRate
+                : this.getRate(allTime.admissions, allTime.studentsTrained),
+            top100IitRanks: allTime.top100IitRanks,
+            stateRank1: allTime.stateRank1,
+            latestYear: years[0],
+            successRate: latest.rate,
+            selections: latest.qualified,
+            growth: previous.appeared ? Math.round((latest.appeared / previous.appeared - 1) * 100) : 0,
+            bestJeeRank: jee ? jee.bestRank : null
+        };
+
+        return key in stats ? stats[key] : null;
+    }
+};
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// ========================
+// 2. RESULTS EXPLORER
+// ========================
+
+// URL format: ?year=2023&exam=neet&rank=1-100&college=aiims-delhi
+const ResultsExplorer = {
+    // Configuration
+    config: {
+        rootSelector: '[data-results-explorer]',
+        controlsSelector: '[data-results-controls]',
+        overviewSelector: '[data-results-overview]',
+        timelineSelector: '[data-results-timeline]',
+        performersSelector: '[data-results-performers]',
+        performerFiltersSelector: '[data-results-performer-filters]',
+        performerCountSelector: '[data-results-performer-count]',
+        performersEmptySelector: '[data-results-performers-empty]',
+        placementsSelector: '[data-results-placements]',
+        statSelector: '[data-results-stat]',
+        templateSelector: '[data-results-template]',
+        chartSelector: '[data-results-chart]',
+        // An open end (null) means "no limit"
+        rankRanges: [
+            { value: '1-100', label: 'Top 100', min: 1, max: 100 },
+            { value: '101-500', label: '101 - 500', min: 101, max: 500 },
+            { value: '501-', label: '501 and beyond', min: 501, max: null }
+        ],
+        messages: {
+            year: 'Year',
+            exam: 'Exam',
+            allExams: 'All exams',
+            overall: 'Overall selection rate in {year}',
+            examRate: '{exam} selection rate in {year}',
+            qualified: '{qualified} of {appeared} students qualified',
+            drill: 'See how each exam did',
+            back: 'Back to all exams',
+            bestRank: 'Best Rank',
+            bestRankBy: 'Best Rank - {name}',
+            rate: 'Students Qualified',
+            topRanks: 'Top {band} Ranks',
+            selections: '{count} Selections',
+            successRate: '{rate}% Success Rate',
+            rank: 'Rank',
+            anyRank: 'Any rank',
+            college: 'College',
+            anyCollege: 'Any college',
+            countAll: 'Showing all {total} top performers',
+            count: 'Showing {shown} of {total} top performers',
+            loadFailed: 'We couldn\'t load the latest results. Please check your connection and refresh the page.'
+        }
+    },
+
+    // State
+    root: null,
+    state: null,
+
+    init() {
+        const root = document.querySelector(this.config.rootSelector);
+        if (!root || root === this.root) return;
+
+        this.root = root;
+
+        ResultsData.load()
+            .then(() => {
+                // PageRouter may have moved on while the data loaded
+                if (this.root !== root) return;
+
+                this.state = this.readUrl();
+                this.render();
+                this.bindEvents();
+            })
+            .catch(error => {
+                if (this.root !== root) return;
+                console.warn('Results could not be loaded:', error);
+                this.showError();
+            });
+    },
+
+    // PageRouter calls this before swapping the page out
+    destroy() {
+        this.root = null;
+        this.state = null;
+    },
+
+    bindEvents() {
+        // Year and exam buttons live in the controls, the overview and the timeline
+        this.root.addEventListener('click', e => {
+            const year = e.target.closest('[data-results-year]');
+            const exam = e.target.closest('[data-results-exam]');
+
+            if (year) {
+                this.select({ year: Number(year.dataset.resultsYear) });
+            } else if (exam) {
+                this.select({ exam: exam.dataset.resultsExam });
+            }
+        });
+
+        const filters = document.querySelector(this.config.performerFiltersSelector);
+        if (filters) {
+            filters.addEventListener('change', e => {
+                if (e.target.name === 'rank') this.state.rank = e.target.value;
+                if (e.target.name === 'college') this.state.college = e.target.value;
+                this.update();
+            });
+        }
+
+        document.querySelectorAll('[data-results-performers-reset]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.state.rank = '';
+                this.state.college = '';
+                this.update();
+            });
+        });
+    },
+
+    select(changes) {
+        Object.assign(this.state, changes);
+        this.update();
+    },
+
+    update() {
+        this.writeUrl();
+        this.renderControls();
+        this.renderOverview();
+        this.updateTimeline();
+        this.updatePerformers();
+        this.updatePlacements();
+        this.renderTemplates();
+        this.renderCharts();
+
+        this.root.dispatchEvent(new CustomEvent('results:change', {
+            detail: { ...this.state }
+        }));
+    },
+
+    getRankRange(value) {
+        return this.config.rankRanges.find(range => range.value === value) || null;
+    },
+
+    format(key, values) {
+        return Object.entries(values).reduce(
+            (text, [name, value]) => text.replace(`{${name}}`, value),
+            this.config.messages[key]
+        );
+    }
+};
+
+// ========================
+// 3. URL STATE
+// ========================
+
+// Values that aren't in the data are dropped, so an old link still shows the latest year
+ResultsExplorer.readUrl = function() {
+    const params = new URLSearchParams(location.search);
+    const year = Number(params.get('year'));
+    const exam = params.get('exam') || '';
+    const rank = params.get('rank') || '';
+    const college = params.get('college') || '';
+
+    return {
+        year: ResultsData.getYear(year) ? year : ResultsData.getLatestYear(),
+        exam: ResultsData.getExam(exam) ? exam : '',
+        rank: this.getRankRange(rank) ? rank : '',
+        college: ResultsData.getColleges().some(name => slugify(name) === college) ? college : ''
+    };
+};
+
+// Replaces the current entry and keeps campaign parameters and anything else that isn't ours
+ResultsExplorer.writeUrl = function() {
+    const params = new URLSearchParams(location.search);
+    ['year', 'exam', 'rank', 'college'].forEach(key => params.delete(key));
+
+    if (this.state.year !== ResultsData.getLatestYear()) params.set('year', this.state.year);
+    if (this.state.exam) params.set('exam', this.state.exam);
+    if (this.state.rank) params.set('rank', this.state.rank);
+    if (this.state.college) params.set('college', this.state.college);
+
+    const query = params.toString();
+    history.replaceState(history.state, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+};
+
+// ========================
+// 4. RENDERERS
+// ========================
+
+function createResultsElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined && text !== null && text !== '') el.textContent = text;
+    return el;
+}
+
+function formatResultsNumber(value) {
+    return Number(value).toLocaleString('en-IN');
+}
+
+// The timeline, performer cards and placements are built once per page; selections
+// only show, hide and fill them in, so AOS doesn't replay on every click
+ResultsExplorer.render = function() {
+    this.renderStats();
+    this.renderTimeline();
+    this.renderPerformerFilters();
+    this.renderPerformers();
+    this.renderPlacements();
+    this.update();
+
+    // Everything above was added after AOS started
+    if (typeof AOS !== 'undefined') AOS.refreshHard();
+};
+
+ResultsExplorer.showError = function() {
+    [this.config.timelineSelector, this.config.performersSelector, this.config.placementsSelector].forEach(selector => {
+        const container = document.querySelector(selector);
+        if (container) container.replaceChildren(createResultsElement('p', 'results-error', this.config.messages.loadFailed));
+    });
+};
+
+// Counters that have already run count on to the new value (counter.js)
+ResultsExplorer.renderStats = function() {
+    document.querySelectorAll(this.config.statSelector).forEach(element => {
+        const value = ResultsData.getStat(element.dataset.resultsStat);
+        if (value === null) return;
+
+        if (element.classList.contains('counter')) {
+            if (typeof CounterManager !== 'undefined') {
+                CounterManager.update(element, value);
+            } else {
+                element.dataset.target = value;
+            }
+            return;
+        }
+
+        const template = element.dataset.resultsFormat || '{value}';
+        element.textContent = template.replace('{value}', formatResultsNumber(value));
+    });
+};
+
+// Headings such as "Exam-wise Performance ({year})" follow the selection
+ResultsExplorer.renderTemplates = function() {
+    const exam = ResultsData.getExam(this.state.exam);
+    const years = ResultsData.getYears();
+    const values = {
+        year: this.state.year,
+        exam: exam ? exam.name : '',
+        first: years[years.length - 1],
+        last: years[0]
+    };
+
+    document.querySelectorAll(this.config.templateSelector).forEach(element => {
+        element.textContent = Object.entries(values)
+            .reduce((text, [name, value]) => text.split(`{${name}}`).join(value), element.dataset.resultsTemplate)
+            .replace(/\s+/g, ' ')
+            .trim();
+    });
+};
+
+// [data-results-chart="breakdown"] shows the selected year by exam;
+// [data-results-chart="trend"] shows the selected exam (or all of them) across the years
+ResultsExplorer.renderCharts = function() {
+    if (typeof ChartManager === 'undefined') return;
+
+    document.querySelectorAll(this.config.chartSelector).forEach(element => {
+        const kind = element.dataset.resultsChart;
+        const exam = ResultsData.getExam(this.state.exam);
+
+        if (kind === 'breakdown') {
+            ChartManager.update(element, ResultsData.getBreakdown(this.state.year), {
+                title: `Selection rate by exam, ${this.state.year}`
+            });
+        } else if (kind === 'trend') {
+            const items = ResultsData.getTrend(this.state.exam);
+            const lowest = Math.min(...items.map(item => item.value));
+            ChartManager.update(element, items, {
+                title: `${exam ? exam.name : 'Overall'} selection rate by year`,
+                min: Math.max(0, Math.floor((lowest - 5) / 10) * 10),
+                max: 100
+            });
+        }
+    });
+};
+
+ResultsExplorer.renderControls = function() {
+    const container = this.root.querySelector(this.config.controlsSelector);
+    if (!container) return;
+
+    const messages = this.config.messages;
+    const years = ResultsData.getYears().map(year => ({ value: year, label: String(year), active: year === this.state.year }));
+    const exams = [{ value: '', label: messages.allExams, active: !this.state.exam }]
+        .concat(ResultsData.getExams().map(exam => ({ value: exam.id, label: exam.name, active: exam.id === this.state.exam })));
+
+    container.replaceChildren(
+        this.createButtonGroup(messages.year, 'resultsYear', years),
+        this.createButtonGroup(messages.exam, 'resultsExam', exams)
+    );
+};
+
+ResultsExplorer.createButtonGroup = function(label, dataKey, options) {
+    const group = createResultsElement('div', 'results-control-group');
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', label);
+    group.appendChild(createResultsElement('span', 'filter-label', label));
+
+    options.forEach(option => {
+        const button = createResultsElement('button', `filter-btn${option.active ? ' active' : ''}`, option.label);
+        button.type = 'button';
+        button.dataset[dataKey] = option.value;
+        button.setAttribute('aria-pressed', String(option.active));
+        group.appendChild(button);
+    });
+
+    return group;
+};
+
+// The drill-down: the overall rate for the year, then one bar per exam that
+// narrows everything on the page to that exam
+ResultsExplorer.renderOverview = function() {
+    const container = this.root.querySelector(this.config.overviewSelector);
+    if (!container) return;
+
+    const messages = this.config.messages;
+    const { year, exam } = this.state;
+    const selected = ResultsData.getExam(exam);
+    const totals = ResultsData.getTotals(year, exam);
+
+    const total = createResultsElement('div', 'overview-total');
+    total.append(
+        createResultsElement('span', 'overview-rate', `${totals.rate}%`),
+        createResultsElement('span', 'overview-label', selected
+            ? this.format('examRate', { exam: selected.name, year })
+            : this.format('overall', { year }))
+    );
+    if (!totals.published) {
+        total.appendChild(createResultsElement('span', 'overview-detail', this.format('qualified', {
+            qualified: formatResultsNumber(totals.qualified),
+            appeared: formatResultsNumber(totals.appeared)
+        })));
+    }
+
+    if (selected) {
+        const back = createResultsElement('button', 'btn btn-link overview-back', messages.back);
+        back.type = 'button';
+        back.dataset.resultsExam = '';
+        total.appendChild(back);
+    }
+
+    const breakdown = createResultsElement('ul', 'overview-breakdown');
+    breakdown.setAttribute('aria-label', messages.drill);
+
+    ResultsData.getExams().forEach(item => {
+        const result = ResultsData.getResult(year, item.id);
+        if (!result) return;
+
+        const button = createResultsElement('button', `breakdown-item${item.id === exam ? ' active' : ''}`);
+        button.type = 'button';
+        button.dataset.resultsExam = item.id;
+        button.setAttribute('aria-pressed', String(item.id === exam));
+
+        const bar = createResultsElement('span', 'breakdown-bar');
+        bar.style.setProperty('--rate', `${result.rate}%`);
+        bar.style.setProperty('--color', result.color);
+
+        button.append(
+            createResultsElement('span', 'breakdown-name', result.name),
+            createResultsElement('span', 'breakdown-rate', `${result.rate}%`),
+            bar,
+            createResultsElement('span', 'breakdown-detail', this.format('qualified', {
+                qualified: formatResultsNumber(result.qualified),
+                appeared: formatResultsNumber(result.appeared)
+            }))
+        );
+
+        const entry = createResultsElement('li');
+        entry.appendChild(button);
+        breakdown.appendChild(entry);
+    });
+
+    container.replaceChildren(total, breakdown);
+};
+
+ResultsExplorer.renderTimeline = function() {
+    const container = this.root.querySelector(this.config.timelineSelector);
+    if (!container) return;
+
+    const items = ResultsData.getYears().map((year, index) => {
+        const entry = ResultsData.getYear(year);
+        const item = createResultsElement('div', 'timeline-item');
+        item.dataset.year = year;
+        item.dataset.aos = index % 2 === 0 ? 'fade-right' : 'fade-left';
+
+        const label = createResultsElement('button', 'timeline-year', String(year));
+        label.type = 'button';
+        label.dataset.resultsYear = year;
+
+        const content = createResultsElement('div', 'timeline-content');
+        content.append(
+            createResultsElement('h3', null, entry.headline),
+            createResultsElement('p', 'timeline-summary', entry.summary),
+            createResultsElement('div', 'year-stats'),
+            createResultsElement('div', 'results-grid')
+        );
+
+        item.append(label, content);
+        return item;
+    });
+
+    container.replaceChildren(...items);
+};
+
+// The selected year opens up into one card per exam; the others keep their headline figures
+ResultsExplorer.updateTimeline = function() {
+    const { year, exam } = this.state;
+
+    this.root.querySelectorAll(`${this.config.timelineSelector} .timeline-item`).forEach(item => {
+        const itemYear = Number(item.dataset.year);
+        const active = itemYear === year;
+        const totals = ResultsData.getTotals(itemYear, exam);
+        const badges = ResultsData.getYear(itemYear).badges;
+
+        item.classList.toggle('active', active);
+        item.querySelector('.timeline-year').setAttribute('aria-pressed', String(active));
+
+        // A year with published badges shows them as they were announced
+        item.querySelector('.year-stats').replaceChildren(...(!exam && badges
+            ? badges.map(badge => createResultsElement('span', 'year-stat', badge))
+            : [
+                createResultsElement('span', 'year-stat', this.format('selections', { count: formatResultsNumber(totals.qualified) })),
+                createResultsElement('span', 'year-stat', this.format('successRate', { rate: totals.rate }))
+            ]));
+
+        const grid = item.querySelector('.results-grid');
+        grid.hidden = !active;
+        grid.replaceChildren();
+        if (!active) return;
+
+        ResultsData.getExams()
+            .filter(entry => !exam || entry.id === exam)
+            .forEach(entry => {
+                const result = ResultsData.getResult(itemYear, entry.id);
+                if (result) grid.appendChild(this.createResultCategory(result));
+            });
+    });
+};
+
+ResultsExplorer.createResultCategory = function(result) {
+    const messages = this.config.messages;
+    const category = createResultsElement('div', 'result-category');
+    category.appendChild(createResultsElement('h4', null, `${result.name} Results`));
+
+    const stats = createResultsElement('div', 'result-stats');
+    [
+        [`${result.rankLabel} ${result.bestRank}`, result.topper ? this.format('bestRankBy', { name: result.topper }) : messages.bestRank],
+        [`${result.rate}%`, messages.rate],
+        [formatResultsNumber(result.topRanks), this.format('topRanks', { band: formatResultsNumber(result.topBand) })]
+    ].forEach(([value, label]) => {
+        const stat = createResultsElement('div', 'result-stat');
+        stat.append(
+            createResultsElement('span', 'stat-number', value),
+            createResultsElement('span', 'stat-desc', label)
+        );
+        stats.appendChild(stat);
+    });
+
+    category.appendChild(stats);
+    return category;
+};
+
+ResultsExplorer.renderPerformerFilters = function() {
+    const container = document.querySelector(this.config.performerFiltersSelector);
+    if (!container) return;
+
+    const messages = this.config.messages;
+    const ranks = this.config.rankRanges.map(range => ({ value: range.value, label: range.label }));
+    const colleges = ResultsData.getColleges().map(name => ({ value: slugify(name), label: name }));
+
+    const groups = createResultsElement('div', 'filter-groups');
+    groups.append(
+        this.createSelectGroup('rank', messages.rank, messages.anyRank, ranks),
+        this.createSelectGroup('college', messages.college, messages.anyCollege, colleges)
+    );
+
+    // A div rather than a form: main.js treats every form on the page as an enquiry
+    container.setAttribute('role', 'search');
+    container.replaceChildren(groups);
+};
+
+ResultsExplorer.createSelectGroup = function(name, label, anyLabel, options) {
+    const group = createResultsElement('div', 'filter-group');
+    const id = `resultsFilter-${name}`;
+
+    const labelEl = createResultsElement('label', 'filter-label', label);
+    labelEl.htmlFor = id;
+
+    const select = createResultsElement('select', 'form-select');
+    select.id = id;
+    select.name = name;
+    select.appendChild(new Option(anyLabel, ''));
+    options.forEach(option => select.appendChild(new Option(option.label, option.value)));
+
+    group.append(labelEl, select);
+    return group;
+};
+
+ResultsExplorer.renderPerformers = function() {
+    const container = document.querySelector(this.config.performersSelector);
+    if (!container) return;
+
+    const cards = ResultsData.getPerformers().map((performer, index) => {
+        const column = createResultsElement('div', 'col-lg-4 col-md-6');
+        column.dataset.aos = 'flip-left';
+        column.dataset.aosDelay = (index % 3 + 1) * 100;
+        column.dataset.performer = `${performer.year}-${slugify(performer.name)}`;
+        column.appendChild(this.createPerformerCard(performer));
+        return column;
+    });
+
+    container.replaceChildren(...cards);
+};
+
+ResultsExplorer.createPerformerCard = function(performer) {
+    const exam = ResultsData.getExam(performer.exam);
+    const rank = `${exam.rankLabel} ${performer.rank}`;
+    const card = createResultsElement('div', 'performer-card');
+
+    const image = createResultsElement('div', 'performer-image');
+    if (performer.image) {
+        const img = createResultsElement('img');
+        img.src = performer.image;
+        img.alt = performer.name;
+        img.loading = 'lazy';
+        image.appendChild(img);
+    } else {
+        const initials = createResultsElement('div', 'performer-initials',
+            performer.name.split(' ').map(part => part.charAt(0)).join(''));
+        initials.setAttribute('aria-hidden', 'true');
+        image.appendChild(initials);
+    }
+    const overlay = createResultsElement('div', 'rank-overlay');
+    overlay.appendChild(createResultsElement('span', 'rank-badge', rank));
+    image.appendChild(overlay);
+
+    const info = createResultsElement('div', 'performer-info');
+    info.append(
+        createResultsElement('h4', 'performer-name', performer.name),
+        createResultsElement('p', 'performer-achievement', `${exam.fullName} ${rank}, ${performer.year}`),
+        createResultsElement('p', 'performer-college', `${performer.college} - ${performer.program}`)
+    );
+
+    if (performer.quote) {
+        const quote = createResultsElement('div', 'performer-quote');
+        const icon = createResultsElement('i', 'fas fa-quote-left');
+        icon.setAttribute('aria-hidden', 'true');
+        quote.append(icon, createResultsElement('p', null, `"${performer.quote}"`));
+        info.appendChild(quote);
+    }
+
+    if (performer.scores.length > 0) {
+        const stats = createResultsElement('div', 'performer-stats');
+        performer.scores.forEach(score => {
+            const item = createResultsElement('div', 'stat-item');
+            item.append(
+                createResultsElement('span', 'stat-label', score.label),
+                createResultsElement('span', 'stat-value', score.value)
+            );
+            stats.appendChild(item);
+        });
+        info.appendChild(stats);
+    }
+
+    card.append(image, info);
+    return card;
+};
+
+ResultsExplorer.updatePerformers = function() {
+    const container = document.querySelector(this.config.performersSelector);
+    if (!container) return;
+
+    const { exam, rank, college } = this.state;
+    const shown = new Set(ResultsData.getPerformers({ exam, rank: this.getRankRange(rank), college })
+        .map(performer => `${performer.year}-${slugify(performer.name)}`));
+    const columns = container.querySelectorAll('[data-performer]');
+
+    columns.forEach(column => {
+        column.hidden = !shown.has(column.dataset.performer);
+    });
+
+    const filters = document.querySelector(this.config.performerFiltersSelector);
+    if (filters) {
+        filters.querySelector('[name="rank"]').value = rank;
+        filters.querySelector('[name="college"]').value = college;
+    }
+
+    const count = document.querySelector(this.config.performerCountSelector);
+    if (count) {
+        const filtered = Boolean(exam || rank || college);
+        count.textContent = this.format(filtered ? 'count' : 'countAll', { shown: shown.size, total: columns.length });
+    }
+
+    const empty = document.querySelector(this.config.performersEmptySelector);
+    if (empty) empty.hidden = shown.size > 0;
+};
+
+ResultsExplorer.renderPlacements = function() {
+    const container = document.querySelector(this.config.placementsSelector);
+    if (!container) return;
+
+    const categories = ResultsData.getPlacements().map((category, index) => {
+        const section = createResultsElement('div', 'placement-category');
+        section.dataset.aos = 'fade-up';
+        section.dataset.aosDelay = (index + 1) * 100;
+        section.dataset.placement = category.id;
+
+        const title = createResultsElement('h3', 'category-title');
+        const icon = createResultsElement('i', `fas ${category.icon}`);
+        icon.setAttribute('aria-hidden', 'true');
+        title.append(icon, ` ${category.title}`);
+
+        const grid = createResultsElement('div', 'college-grid');
+        category.colleges.forEach(college => grid.appendChild(this.createCollegeCard(college)));
+
+        section.append(title, grid);
+        return section;
+    });
+
+    container.replaceChildren(...categories);
+};
+
+ResultsExplorer.createCollegeCard = function(college) {
+    const card = createResultsElement('div', 'college-card');
+
+    const logo = createResultsElement('div', 'college-logo');
+    const img = createResultsElement('img');
+    img.src = college.logo;
+    img.alt = college.name;
+    img.loading = 'lazy';
+    logo.appendChild(img);
+
+    const streams = createResultsElement('div', 'college-streams');
+    college.streams.forEach(stream => streams.appendChild(createResultsElement('span', 'stream-tag', stream)));
+
+    const info = createResultsElement('div', 'college-info');
+    info.append(
+        createResultsElement('h5', null, college.name),
+        createResultsElement('p', 'college-count', `${formatResultsNumber(college.students)} Students`),
+        streams
+    );
+
+    card.append(logo, info);
+    return card;
+};
+
+ResultsExplorer.updatePlacements = function() {
+    const shown = new Set(ResultsData.getPlacements(this.state.exam).map(category => category.id));
+    document.querySelectorAll(`${this.config.placementsSelector} [data-placement]`).forEach(section => {
+        section.hidden = !shown.has(section.dataset.placement);
+    });
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    ResultsExplorer.init();
+});
+
+// Export for use in other scripts
+window.ResultsData = ResultsData;
+window.ResultsExplorer = ResultsExplorer;
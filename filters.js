@@ -0,0 +1,396 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - filters.js (Course Filters)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Search and multi-facet filtering for the
+ *              course cards, kept in the URL query string so
+ *              a filtered view can be shared as a link
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. COURSE FILTER
+// ========================
+
+// URL format: ?q=biology&stream=engineering&exam=jee-main&exam=eamcet&class=11&mode=online&batch=weekend&fee=30000-50000
+const CourseFilter = {
+    // Configuration
+    config: {
+        panelSelector: '[data-course-filter]',
+        countSelector: '[data-course-count]',
+        emptySelector: '[data-course-empty]',
+        resetSelector: '[data-course-filter-reset]',
+        streamSelector: '.course-filters .filter-btn',
+        cardSelector: '.course-detailed-card',
+        searchDelay: 250,
+        // Facets shown as checkboxes so several can be picked; the others are single-choice selects
+        multiFacets: ['exam', 'mode'],
+        // An open end (null) means "no limit"; max itself is excluded (catalogue.js)
+        feeRanges: [
+            { min: null, max: 30000 },
+            { min: 30000, max: 50000 },
+            { min: 50000, max: null }
+        ],
+        messages: {
+            countAll: 'Showing all {total} programs',
+            count: 'Showing {shown} of {total} programs',
+            searchLabel: 'Search programs',
+            searchPlaceholder: 'Search by exam, subject or feature',
+            any: 'Any',
+            fee: 'Fee per Year',
+            anyFee: 'Any fee',
+            clear: 'Clear filters'
+        }
+    },
+
+    // State
+    panel: null,
+    filters: null,
+    searchTimer: null,
+
+    init() {
+        const panel = document.querySelector(this.config.panelSelector);
+        if (!panel || panel === this.panel || typeof CourseCatalogue === 'undefined') return;
+
+        this.panel = panel;
+        this.filters = this.readUrl();
+
+        this.renderControls();
+        this.syncControls();
+        this.bindEvents();
+        this.apply({ silent: true });
+    },
+
+    // PageRouter calls this before swapping the page out, so a pending search can't write another page's URL
+    destroy() {
+        clearTimeout(this.searchTimer);
+        this.panel = null;
+        this.filters = null;
+    },
+
+    bindEvents() {
+        const panel = this.panel;
+
+        panel.addEventListener('input', e => {
+            if (e.target.name !== 'q') return;
+
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.filters.q = e.target.value.trim();
+                this.apply();
+            }, this.config.searchDelay);
+        });
+
+        panel.addEventListener('change', e => {
+            if (e.target.name === 'q') return;
+            this.readControls();
+            this.apply();
+        });
+
+        // Enter in the search box applies straight away
+        panel.addEventListener('keydown', e => {
+            if (e.key !== 'Enter' || e.target.name !== 'q') return;
+            e.preventDefault();
+            clearTimeout(this.searchTimer);
+            this.filters.q = e.target.value.trim();
+            this.apply();
+        });
+
+        document.querySelectorAll(this.config.streamSelector).forEach(button => {
+            button.addEventListener('click', () => {
+                const stream = button.dataset.filter;
+                this.filters.stream = stream === 'all' ? '' : stream;
+                this.apply();
+            });
+        });
+
+        document.querySelectorAll(this.config.resetSelector).forEach(button => {
+            button.addEventListener('click', () => this.clear());
+        });
+    },
+
+    clear() {
+        clearTimeout(this.searchTimer);
+        this.filters = this.createEmptyFilters();
+        this.syncControls();
+        this.apply();
+
+        const search = this.panel.querySelector('[name="q"]');
+        if (search) search.focus();
+    },
+
+    apply({ silent = false } = {}) {
+        const matches = new Set(CourseCatalogue.filter(this.filters).map(course => course.id));
+        const cards = document.querySelectorAll(this.config.cardSelector);
+
+        cards.forEach(card => {
+            card.hidden = !matches.has(card.id);
+        });
+
+        this.updateSummary(matches.size, cards.length);
+
+        document.querySelectorAll(this.config.streamSelector).forEach(button => {
+            const active = (button.dataset.filter === 'all' && !this.filters.stream) ||
+                button.dataset.filter === this.filters.stream;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+
+        if (silent) return;
+
+        this.writeUrl();
+
+        // Cards that were hidden never got their AOS offsets
+        if (typeof AOS !== 'undefined') AOS.refresh();
+
+        this.panel.dispatchEvent(new CustomEvent('filter:change', {
+            detail: { filters: this.getActiveFilters(), count: matches.size }
+        }));
+    },
+
+    updateSummary(shown, total) {
+        const messages = this.config.messages;
+        const count = document.querySelector(this.config.countSelector);
+        const empty = document.querySelector(this.config.emptySelector);
+        const filtered = Object.keys(this.getActiveFilters()).length > 0;
+
+        if (count) {
+            const template = filtered ? messages.count : messages.countAll;
+            count.textContent = template.replace('{shown}', shown).replace('{total}', total);
+        }
+
+        if (empty) empty.hidden = shown > 0;
+
+        const clear = this.panel.querySelector('.filter-clear');
+        if (clear) clear.hidden = !filtered;
+    }
+};
+
+// ========================
+// 2. FILTER STATE
+// ========================
+
+CourseFilter.createEmptyFilters = function() {
+    const filters = { q: '', stream: '', fee: null };
+    Object.keys(CourseCatalogue.facets).forEach(facet => {
+        filters[facet] = [];
+    });
+    return filters;
+};
+
+// Only the filters that narrow the list, in the shape the URL and analytics use
+CourseFilter.getActiveFilters = function() {
+    const active = {};
+
+    if (this.filters.q) active.q = this.filters.q;
+    if (this.filters.stream) active.stream = this.filters.stream;
+
+    Object.keys(CourseCatalogue.facets).forEach(facet => {
+        if (this.filters[facet].length > 0) active[facet] = this.filters[facet];
+    });
+
+    if (this.filters.fee) active.fee = this.formatFeeRange(this.filters.fee);
+
+    return active;
+};
+
+CourseFilter.readUrl = function() {
+    const params = new URLSearchParams(location.search);
+    const filters = this.createEmptyFilters();
+
+    filters.q = (params.get('q') || '').trim();
+
+    const stream = params.get('stream');
+    if (stream && CourseCatalogue.courses.some(course => course.category === stream)) {
+        filters.stream = stream;
+    }
+
+    // Values we don't know are dropped, so an old or mistyped link still shows courses
+    Object.entries(CourseCatalogue.facets).forEach(([facet, definition]) => {
+        const known = definition.options.map(option => option.value);
+        filters[facet] = params.getAll(facet).filter(value => known.includes(value));
+        if (!this.config.multiFacets.includes(facet)) filters[facet] = filters[facet].slice(0, 1);
+    });
+
+    filters.fee = this.parseFeeRange(params.get('fee'));
+
+    return filters;
+};
+
+// Replaces the current entry: filtering shouldn't fill the back button history
+CourseFilter.writeUrl = function() {
+    const params = new URLSearchParams(location.search);
+    const keys = ['q', 'stream', 'fee', ...Object.keys(CourseCatalogue.facets)];
+
+    // Keep campaign parameters and anything else that isn't ours
+    keys.forEach(key => params.delete(key));
+
+    Object.entries(this.getActiveFilters()).forEach(([key, value]) => {
+        [].concat(value).forEach(item => params.append(key, item));
+    });
+
+    const query = params.toString();
+    history.replaceState(history.state, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+};
+
+// "30000-50000", "-30000" or "50000-"
+CourseFilter.parseFeeRange = function(value) {
+    const match = /^(\d*)-(\d*)$/.exec(value || '');
+    if (!match || (!match[1] && !match[2])) return null;
+
+    return {
+        min: match[1] ? Number(match[1]) : null,
+        max: match[2] ? Number(match[2]) : null
+    };
+};
+
+CourseFilter.formatFeeRange = function(range) {
+    return `${range.min === null ? '' : range.min}-${range.max === null ? '' : range.max}`;
+};
+
+CourseFilter.getFeeRangeLabel = function(range) {
+    const format = amount => CourseCatalogue.formatFee(amount);
+
+    if (range.min === null) return `Under ${format(range.max)}`;
+    if (range.max === null) return `${format(range.min)} and above`;
+    // Fees are whole rupees and max is exclusive
+    return `${format(range.min)} - ${format(range.max - 1)}`;
+};
+
+// ========================
+// 3. FILTER CONTROLS
+// ========================
+
+function createFilterElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text) el.textContent = text;
+    return el;
+}
+
+// The options come from the catalogue, so a new exam or batch shows up here by itself
+CourseFilter.renderControls = function() {
+    const messages = this.config.messages;
+
+    const search = createFilterElement('div', 'filter-search');
+    const searchIcon = createFilterElement('i', 'fas fa-search');
+    searchIcon.setAttribute('aria-hidden', 'true');
+    const searchLabel = createFilterElement('label', 'visually-hidden', messages.searchLabel);
+    searchLabel.htmlFor = 'courseSearch';
+    const searchInput = createFilterElement('input', 'form-control');
+    searchInput.type = 'search';
+    searchInput.id = 'courseSearch';
+    searchInput.name = 'q';
+    searchInput.placeholder = messages.searchPlaceholder;
+    searchInput.autocomplete = 'off';
+    search.append(searchIcon, searchLabel, searchInput);
+
+    const groups = createFilterElement('div', 'filter-groups');
+
+    Object.entries(CourseCatalogue.facets).forEach(([facet, definition]) => {
+        groups.appendChild(this.config.multiFacets.includes(facet)
+            ? this.createCheckboxGroup(facet, definition)
+            : this.createSelectGroup(facet, definition.label, messages.any,
+                definition.options.map(option => ({ value: option.value, label: option.label }))));
+    });
+
+    groups.appendChild(this.createSelectGroup('fee', messages.fee, messages.anyFee,
+        this.config.feeRanges.map(range => ({ value: this.formatFeeRange(range), label: this.getFeeRangeLabel(range) }))));
+
+    const clear = createFilterElement('button', 'btn btn-link filter-clear', messages.clear);
+    clear.type = 'button';
+    clear.dataset.courseFilterReset = '';
+
+    // A div rather than a form: main.js treats every form on the page as an enquiry
+    this.panel.setAttribute('role', 'search');
+    this.panel.replaceChildren(search, groups, clear);
+};
+
+CourseFilter.createCheckboxGroup = function(facet, definition) {
+    const group = createFilterElement('fieldset', 'filter-group');
+    group.appendChild(createFilterElement('legend', 'filter-label', definition.label));
+
+    const chips = createFilterElement('div', 'filter-chips');
+    definition.options.forEach(option => {
+        const chip = createFilterElement('label', 'filter-chip');
+        const input = createFilterElement('input');
+        input.type = 'checkbox';
+        input.name = facet;
+        input.value = option.value;
+        chip.append(input, createFilterElement('span', null, option.label));
+        chips.appendChild(chip);
+    });
+
+    group.appendChild(chips);
+    return group;
+};
+
+CourseFilter.createSelectGroup = function(name, label, anyLabel, options) {
+    const group = createFilterElement('div', 'filter-group');
+    const id = `courseFilter-${name}`;
+
+    const labelEl = createFilterElement('label', 'filter-label', label);
+    labelEl.htmlFor = id;
+
+    const select = createFilterElement('select', 'form-select');
+    select.id = id;
+    select.name = name;
+    select.add(new Option(anyLabel, ''));
+    options.forEach(option => select.add(new Option(option.label, option.value)));
+
+    group.append(labelEl, select);
+    return group;
+};
+
+// Controls -> state
+CourseFilter.readControls = function() {
+    const panel = this.panel;
+
+    Object.keys(CourseCatalogue.facets).forEach(facet => {
+        this.filters[facet] = Array.from(panel.querySelectorAll(`[name="${facet}"]`))
+            .filter(control => (control.type === 'checkbox' ? control.checked : control.value !== ''))
+            .map(control => control.value);
+    });
+
+    const fee = panel.querySelector('[name="fee"]');
+    this.filters.fee = fee ? this.parseFeeRange(fee.value) : null;
+};
+
+// State -> controls, for links opened with filters and for "clear"
+CourseFilter.syncControls = function() {
+    const panel = this.panel;
+
+    const search = panel.querySelector('[name="q"]');
+    if (search) search.value = this.filters.q;
+
+    Object.keys(CourseCatalogue.facets).forEach(facet => {
+        panel.querySelectorAll(`[name="${facet}"]`).forEach(control => {
+            if (control.type === 'checkbox') {
+                control.checked = this.filters[facet].includes(control.value);
+            } else {
+                control.value = this.filters[facet][0] || '';
+            }
+        });
+    });
+
+    const fee = panel.querySelector('[name="fee"]');
+    if (fee) {
+        const value = this.filters.fee ? this.formatFeeRange(this.filters.fee) : '';
+
+        // A counsellor's link may carry a range that isn't one of the presets
+        if (value && !Array.from(fee.options).some(option => option.value === value)) {
+            fee.add(new Option(this.getFeeRangeLabel(this.filters.fee), value));
+        }
+        fee.value = value;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    CourseFilter.init();
+});
+
+// Export for use in other scripts
+window.CourseFilter = CourseFilter;
@@ -25,14 +25,36 @@ const rootsAcademy = {
     
     // State
     isScrolled: false,
-    isMobileMenuOpen: false,
+    shellInitialized: false,
+    aosInitialized: false,
+    observers: [],
     
     // Configuration
     config: {
         scrollThreshold: 100,
-        counterSpeed: 2000,
         lazyLoadOffset: 100,
-        debounceDelay: 16
+        messages: {
+            submitSuccess: 'Thank you! Your form has been submitted successfully.',
+            submitInvalid: 'Please correct the highlighted fields and try again.',
+            submitTimeout: 'The server is taking too long to respond. Please try again in a moment.',
+            submitOffline: 'We could not reach our server. Please check your connection and try again.',
+            submitFailed: 'Something went wrong while sending your form. Please try again or call us.',
+            submitQueued: 'Saved - we\'ll send it automatically as soon as we can.',
+            outboxDelivered: 'Your saved form has now been sent. Thank you!',
+            outboxRejected: 'We could not send a form you saved earlier. Please submit it again or call us.',
+            guardTooFast: 'That was quick! Please take a moment to check your details, then submit again.',
+            guardRateLimited: 'You have sent several forms recently. Please try again in {minutes} minutes, or call us directly.',
+            guardChallengeFailed: 'We could not verify your submission. Please try again or call us.',
+            draftPrompt: 'Resume your enquiry?',
+            draftSavedAt: 'We saved what you entered on {date}.',
+            draftRestore: 'Restore',
+            draftDiscard: 'Discard'
+        },
+        drafts: {
+            storagePrefix: 'rootsAcademy.draft.',
+            ttl: 7 * 24 * 60 * 60 * 1000, // 7 days
+            saveDelay: 500
+        }
     }
 };
 
@@ -44,33 +66,52 @@ document.addEventListener('DOMContentLoaded', function() {
     initializeApp();
 });
 
+// Runs on the first load and again each time PageRouter (router.js) swaps in a new <main>
 function initializeApp() {
     // Cache DOM elements
     cacheDOMElements();
     
-    // Initialize core features
-    initNavigation();
-    initScrollEffects();
+    // The navbar, cursor and back-to-top button live outside <main> and survive page swaps
+    if (!rootsAcademy.shellInitialized) {
+        initNavigation();
+        initScrollEffects();
+        initCustomCursor();
+        initSmoothScrolling();
+        initBackToTop();
+        initOutboxNotifications();
+        rootsAcademy.shellInitialized = true;
+    }
+    
+    // Initialize page content
     initCounters();
     initModals();
     initForms();
     initLazyLoading();
-    initCustomCursor();
-    initSmoothScrolling();
-    initBackToTop();
     
     // Initialize AOS if available
     if (typeof AOS !== 'undefined') {
-        AOS.init({
-            duration: 800,
-            once: true,
-            offset: 100
-        });
+        if (rootsAcademy.aosInitialized) {
+            AOS.refreshHard();
+        } else {
+            AOS.init({
+                duration: 800,
+                once: true,
+                offset: 100
+            });
+            rootsAcademy.aosInitialized = true;
+        }
     }
     
     console.log('🌳 Roots Academy initialized successfully!');
 }
 
+// Called by PageRouter before the current <main> is replaced
+function teardownApp() {
+    rootsAcademy.observers.forEach(observer => observer.disconnect());
+    rootsAcademy.observers = [];
+    if (typeof CounterManager !== 'undefined') CounterManager.destroyAll();
+}
+
 function cacheDOMElements() {
     rootsAcademy.navbar = document.querySelector('.navbar');
     rootsAcademy.hamburger = document.querySelector('.navbar-toggler');
@@ -84,98 +125,40 @@ function cacheDOMElements() {
 // ========================
 
 function initNavigation() {
-    // Mobile menu toggle
-    if (rootsAcademy.hamburger) {
-        rootsAcademy.hamburger.addEventListener('click', toggleMobileMenu);
-    }
-    
-    // Close mobile menu when clicking nav links
-    rootsAcademy.navLinks.forEach(link => {
-        link.addEventListener('click', closeMobileMenu);
-    });
-    
-    // Close mobile menu when clicking outside
-    document.addEventListener('click', function(e) {
-        if (!e.target.closest('.navbar') && rootsAcademy.isMobileMenuOpen) {
-            closeMobileMenu();
-        }
-    });
-    
-    // Active link highlighting
-    highlightActiveNavLink();
-    window.addEventListener('scroll', debounce(highlightActiveNavLink, rootsAcademy.config.debounceDelay));
-}
-
-function toggleMobileMenu() {
-    const navbarCollapse = document.querySelector('.navbar-collapse');
+    // Mobile menu, submenus and keyboard support (navigation.js)
+    NavigationController.init();
     
-    rootsAcademy.isMobileMenuOpen = !rootsAcademy.isMobileMenuOpen;
-    
-    if (rootsAcademy.isMobileMenuOpen) {
-        navbarCollapse.classList.add('show');
-        rootsAcademy.hamburger.setAttribute('aria-expanded', 'true');
-        document.body.style.overflow = 'hidden';
-    } else {
-        navbarCollapse.classList.remove('show');
-        rootsAcademy.hamburger.setAttribute('aria-expanded', 'false');
-        document.body.style.overflow = '';
-    }
-}
-
-function closeMobileMenu() {
-    if (rootsAcademy.isMobileMenuOpen) {
-        const navbarCollapse = document.querySelector('.navbar-collapse');
-        navbarCollapse.classList.remove('show');
-        rootsAcademy.hamburger.setAttribute('aria-expanded', 'false');
-        rootsAcademy.isMobileMenuOpen = false;
-        document.body.style.overflow = '';
-    }
-}
-
-function highlightActiveNavLink() {
-    const sections = document.querySelectorAll('section[id]');
-    const scrollPos = window.scrollY + 100;
-    
-    sections.forEach(section => {
-        const sectionTop = section.offsetTop;
-        const sectionHeight = section.offsetHeight;
-        const sectionId = section.getAttribute('id');
-        
-        if (scrollPos >= sectionTop && scrollPos < sectionTop + sectionHeight) {
-            // Remove active from all links
-            rootsAcademy.navLinks.forEach(link => link.classList.remove('active'));
-            
-            // Add active to current section link
-            const activeLink = document.querySelector(`.nav-link[href*="${sectionId}"]`);
-            if (activeLink) {
-                activeLink.classList.add('active');
-            }
-        }
-    });
+    // Current page and section-in-view highlighting (scrollspy.js)
+    ScrollSpy.init();
 }
 
 // ========================
 // 4. SCROLL EFFECTS
 // ========================
 
+// Every scroll-driven feature runs through ScrollScheduler (scheduler.js):
+// one rAF-batched listener instead of one debounced listener per feature
 function initScrollEffects() {
-    window.addEventListener('scroll', debounce(handleScroll, rootsAcademy.config.debounceDelay));
-}
-
-function handleScroll() {
-    const scrollY = window.scrollY;
-    
-    // Navbar scroll effect
-    handleNavbarScroll(scrollY);
+    ScrollScheduler.subscribe({
+        id: 'navbar',
+        write: frame => handleNavbarScroll(frame.scrollY)
+    });
     
-    // Scroll progress
-    updateScrollProgress();
+    ScrollScheduler.subscribe({
+        id: 'scroll-progress',
+        write: frame => updateScrollProgress(frame)
+    });
     
-    // Back to top visibility
-    toggleBackToTop(scrollY);
+    ScrollScheduler.subscribe({
+        id: 'back-to-top',
+        write: frame => toggleBackToTop(frame.scrollY)
+    });
     
-    // Parallax effects
-    handleParallaxEffects(scrollY);
+    ScrollScheduler.subscribe({
+        id: 'parallax',
+        selector: '.parallax',
+        write: (frame, elements) => handleParallaxEffects(frame.scrollY, elements)
+    });
 }
 
 function handleNavbarScroll(scrollY) {
@@ -190,20 +173,17 @@ function handleNavbarScroll(scrollY) {
     }
 }
 
-function updateScrollProgress() {
+function updateScrollProgress(frame) {
     if (!rootsAcademy.scrollProgress) return;
     
-    const scrollTop = window.scrollY;
-    const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-    const scrollPercent = (scrollTop / docHeight) * 100;
+    const docHeight = frame.scrollHeight - frame.viewportHeight;
+    const scrollPercent = docHeight > 0 ? (frame.scrollY / docHeight) * 100 : 0;
     
     rootsAcademy.scrollProgress.style.width = `${scrollPercent}%`;
 }
 
-function handleParallaxEffects(scrollY) {
-    const parallaxElements = document.querySelectorAll('.parallax');
-    
-    parallaxElements.forEach(element => {
+function handleParallaxEffects(scrollY, elements) {
+    elements.forEach(element => {
         const speed = element.dataset.speed || 0.5;
         const yPos = -(scrollY * speed);
         element.style.transform = `translateY(${yPos}px)`;
@@ -214,56 +194,21 @@ function handleParallaxEffects(scrollY) {
 // 5. COUNTER ANIMATIONS
 // ========================
 
+// Counting, easing and number formats live in counter.js (CounterManager)
 function initCounters() {
-    const counters = document.querySelectorAll('.counter');
-    
-    if (counters.length === 0) return;
-    
-    const observerOptions = {
-        threshold: 0.7,
-        rootMargin: '0px'
-    };
-    
-    const counterObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                animateCounter(entry.target);
-                counterObserver.unobserve(entry.target);
-            }
-        });
-    }, observerOptions);
-    
-    counters.forEach(counter => counterObserver.observe(counter));
-}
-
-function animateCounter(counter) {
-    const target = parseInt(counter.dataset.target) || 0;
-    const duration = rootsAcademy.config.counterSpeed;
-    const increment = target / (duration / 16);
-    let current = 0;
-    
-    const timer = setInterval(() => {
-        current += increment;
-        
-        if (current >= target) {
-            current = target;
-            clearInterval(timer);
-        }
-        
-        counter.textContent = Math.floor(current).toLocaleString();
-    }, 16);
+    if (typeof CounterManager !== 'undefined') CounterManager.init();
 }
 
 // ========================
 // 6. MODAL SYSTEM
 // ========================
 
+// Stacking, focus and scroll locking are handled by ModalManager (modals.js);
+// [data-modal="id"] triggers and [data-modal-close] buttons need no wiring here
+
 function initModals() {
     // Video modal functionality
     initVideoModals();
-    
-    // Custom modals
-    initCustomModals();
 }
 
 function initVideoModals() {
@@ -273,81 +218,44 @@ function initVideoModals() {
         trigger.addEventListener('click', function(e) {
             e.preventDefault();
             const videoUrl = this.dataset.videoModal;
-            openVideoModal(videoUrl);
+            openVideoModal(videoUrl, this);
         });
     });
 }
 
-function openVideoModal(videoUrl) {
+// The URL only ever reaches the page through VideoPlayer, which whitelists
+// providers and builds the embed itself
+function openVideoModal(videoUrl, trigger) {
     const modal = document.createElement('div');
     modal.className = 'modal-custom video-modal';
-    modal.innerHTML = `
-        <div class="modal-content">
-            <button class="modal-close" aria-label="Close modal">&times;</button>
-            <div class="video-container">
-                <iframe src="${videoUrl}" frameborder="0" allow="autoplay; encrypted-media" allowfullscreen></iframe>
-            </div>
-        </div>
-    `;
+    modal.setAttribute('aria-label', 'Video player');
     
-    document.body.appendChild(modal);
-    document.body.style.overflow = 'hidden';
+    const content = document.createElement('div');
+    content.className = 'modal-content';
     
-    // Close modal events
-    modal.addEventListener('click', function(e) {
-        if (e.target === modal || e.target.classList.contains('modal-close')) {
-            closeModal(modal);
-        }
-    });
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'modal-close';
+    closeBtn.setAttribute('aria-label', 'Close modal');
+    closeBtn.innerHTML = '&times;';
     
-    // ESC key close
-    document.addEventListener('keydown', function(e) {
-        if (e.key === 'Escape') {
-            closeModal(modal);
-        }
-    });
-}
-
-function initCustomModals() {
-    const modalTriggers = document.querySelectorAll('[data-modal]');
+    const player = document.createElement('div');
+    player.className = 'video-container';
+    player.dataset.videoSrc = videoUrl;
     
-    modalTriggers.forEach(trigger => {
-        trigger.addEventListener('click', function(e) {
-            e.preventDefault();
-            const modalId = this.dataset.modal;
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                openModal(modal);
-            }
-        });
-    });
+    content.append(closeBtn, player);
+    modal.appendChild(content);
+    document.body.appendChild(modal);
+    
+    ModalManager.open(modal, { trigger, destroyOnClose: true });
+    VideoManager.create(player).activate();
 }
 
 function openModal(modal) {
-    modal.style.display = 'flex';
-    document.body.style.overflow = 'hidden';
-    
-    // Close events
-    const closeBtn = modal.querySelector('.modal-close');
-    if (closeBtn) {
-        closeBtn.addEventListener('click', () => closeModal(modal));
-    }
-    
-    modal.addEventListener('click', function(e) {
-        if (e.target === modal) {
-            closeModal(modal);
-        }
-    });
+    ModalManager.open(modal);
 }
 
 function closeModal(modal) {
-    modal.style.display = 'none';
-    document.body.style.overflow = '';
-    
-    // Remove dynamically created modals
-    if (modal.classList.contains('video-modal')) {
-        modal.remove();
-    }
+    ModalManager.close(modal);
 }
 
 // ========================
@@ -363,61 +271,88 @@ function initForms() {
         inputs.forEach(input => {
             input.addEventListener('blur', () => validateField(input));
             input.addEventListener('input', () => clearFieldError(input));
+            input.addEventListener('change', () => revalidateDependents(input));
         });
         
         // Form submission
         form.addEventListener('submit', handleFormSubmission);
+        
+        // Bot protection, before the draft takes its snapshot of the untouched form
+        if (typeof FormGuard !== 'undefined') {
+            FormGuard.protect(form);
+        }
+        
+        // Draft autosave and resume
+        initFormDraft(form);
+    });
+}
+
+// Report on submissions replayed from the offline outbox. Bound once for the whole
+// visit: submission.js may only arrive with a later page
+function initOutboxNotifications() {
+    window.addEventListener('outbox:delivered', e => {
+        clearFormDraft(e.detail.record.request.formId);
+        showFormNotification(rootsAcademy.config.messages.outboxDelivered, 'success');
+    });
+    window.addEventListener('outbox:rejected', () => {
+        showFormNotification(rootsAcademy.config.messages.outboxRejected, 'danger');
     });
 }
 
+// Rules live in validation.js; these helpers only apply the results to the page
 function validateField(field) {
-    const value = field.value.trim();
-    const type = field.type;
-    const required = field.hasAttribute('required');
-    
-    let isValid = true;
-    let errorMessage = '';
-    
-    // Required validation
-    if (required && !value) {
-        isValid = false;
-        errorMessage = 'This field is required';
+    if (typeof FormValidator === 'undefined') {
+        const isValid = field.checkValidity();
+        showFieldValidation(field, isValid, field.validationMessage);
+        return Promise.resolve(isValid);
     }
     
-    // Email validation
-    if (type === 'email' && value) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(value)) {
-            isValid = false;
-            errorMessage = 'Please enter a valid email address';
+    return FormValidator.validateField(field).then(result => {
+        if (!result.stale) {
+            showFieldValidation(field, result.valid, result.message);
         }
-    }
+        return result.valid;
+    });
+}
+
+function validateFields(fields) {
+    const validatable = typeof FormValidator !== 'undefined'
+        ? FormValidator.getValidatableFields(fields)
+        : Array.from(fields);
     
-    // Phone validation
-    if (type === 'tel' && value) {
-        const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-        if (!phoneRegex.test(value.replace(/\s/g, ''))) {
-            isValid = false;
-            errorMessage = 'Please enter a valid phone number';
-        }
-    }
+    return Promise.all(validatable.map(validateField))
+        .then(results => results.every(Boolean));
+}
+
+function revalidateDependents(field) {
+    if (typeof FormValidator === 'undefined' || !field.form) return;
     
-    showFieldValidation(field, isValid, errorMessage);
-    return isValid;
+    // Only re-check fields the user has already been shown feedback for
+    FormValidator.getDependents(field.form, field.name)
+        .filter(dependent => dependent.classList.contains('is-valid') || dependent.classList.contains('is-invalid'))
+        .forEach(validateField);
+}
+
+function getValidationAnchor(field) {
+    // Radio groups show one message for the whole group
+    return (field.type === 'radio' && field.closest('[role="radiogroup"]')) || field;
 }
 
 function showFieldValidation(field, isValid, errorMessage) {
-    const errorElement = field.parentNode.querySelector('.field-error');
+    const anchor = getValidationAnchor(field);
+    const errorElement = anchor.parentNode.querySelector('.field-error');
     
     if (isValid) {
-        field.classList.remove('is-invalid');
-        field.classList.add('is-valid');
+        anchor.classList.remove('is-invalid');
+        anchor.classList.add('is-valid');
+        field.removeAttribute('aria-invalid');
         if (errorElement) {
             errorElement.textContent = '';
         }
     } else {
-        field.classList.remove('is-valid');
-        field.classList.add('is-invalid');
+        anchor.classList.remove('is-valid');
+        anchor.classList.add('is-invalid');
+        field.setAttribute('aria-invalid', 'true');
         
         if (errorElement) {
             errorElement.textContent = errorMessage;
@@ -425,14 +360,16 @@ function showFieldValidation(field, isValid, errorMessage) {
             const error = document.createElement('div');
             error.className = 'field-error text-danger small mt-1';
             error.textContent = errorMessage;
-            field.parentNode.appendChild(error);
+            anchor.parentNode.appendChild(error);
         }
     }
 }
 
 function clearFieldError(field) {
-    field.classList.remove('is-invalid');
-    const errorElement = field.parentNode.querySelector('.field-error');
+    const anchor = getValidationAnchor(field);
+    anchor.classList.remove('is-invalid');
+    field.removeAttribute('aria-invalid');
+    const errorElement = anchor.parentNode.querySelector('.field-error');
     if (errorElement) {
         errorElement.textContent = '';
     }
@@ -442,65 +379,324 @@ function handleFormSubmission(e) {
     e.preventDefault();
     
     const form = e.target;
-    const inputs = form.querySelectorAll('input, textarea, select');
-    let isFormValid = true;
+    
+    // Ignore repeat clicks while a submission is in flight
+    if (form.getAttribute('aria-busy') === 'true') return;
     
     // Validate all fields
-    inputs.forEach(input => {
-        if (!validateField(input)) {
-            isFormValid = false;
+    validateFields(form.querySelectorAll('input, textarea, select')).then(isFormValid => {
+        if (isFormValid) {
+            submitForm(form);
+        } else {
+            // Focus first invalid field
+            const firstInvalid = form.querySelector('[aria-invalid="true"]');
+            if (firstInvalid) {
+                firstInvalid.focus();
+            }
         }
     });
-    
-    if (isFormValid) {
-        submitForm(form);
-    } else {
-        // Focus first invalid field
-        const firstInvalid = form.querySelector('.is-invalid');
-        if (firstInvalid) {
-            firstInvalid.focus();
+}
+
+function getDraftKey(formId) {
+    return `${rootsAcademy.config.drafts.storagePrefix}${formId}`;
+}
+
+function readFormDraft(formId) {
+    try {
+        const draft = JSON.parse(localStorage.getItem(getDraftKey(formId)));
+        
+        if (draft && draft.expiresAt > Date.now()) {
+            return draft;
         }
+        
+        // Expired or unreadable drafts are dropped
+        localStorage.removeItem(getDraftKey(formId));
+    } catch (error) {
+        // localStorage unavailable (e.g. some private modes)
+    }
+    return null;
+}
+
+function saveFormDraft(form, values) {
+    const { ttl } = rootsAcademy.config.drafts;
+    const ttlOverride = parseInt(form.dataset.draftTtl) * 60 * 60 * 1000; // data-draft-ttl is in hours
+    const savedAt = Date.now();
+    
+    try {
+        localStorage.setItem(getDraftKey(form.id), JSON.stringify({
+            savedAt,
+            expiresAt: savedAt + (ttlOverride || ttl),
+            values
+        }));
+    } catch (error) {
+        // Quota exceeded or storage disabled - drafts are best effort
     }
 }
 
+function clearFormDraft(formId) {
+    try {
+        localStorage.removeItem(getDraftKey(formId));
+    } catch (error) {
+        // Nothing to clear
+    }
+}
+
+function initFormDraft(form) {
+    if (!form.id || form.dataset.draft === 'off') return;
+    
+    // Only changes from the untouched form count as a draft
+    const initialState = JSON.stringify(captureFormState(form));
+    let promptPending = false;
+    
+    const saveDraft = debounce(() => {
+        if (promptPending) return;
+        
+        const values = captureFormState(form);
+        if (JSON.stringify(values) === initialState) {
+            clearFormDraft(form.id);
+        } else {
+            saveFormDraft(form, values);
+        }
+    }, rootsAcademy.config.drafts.saveDelay);
+    
+    form.addEventListener('input', saveDraft);
+    form.addEventListener('change', saveDraft);
+    form.addEventListener('form:submitted', () => clearFormDraft(form.id));
+    
+    const draft = readFormDraft(form.id);
+    if (!draft) return;
+    
+    // Let wizard.js restore in-tab progress first; nothing to offer if the
+    // page already shows the saved values (e.g. after a reload)
+    setTimeout(() => {
+        if (JSON.stringify(captureFormState(form)) === JSON.stringify(draft.values)) return;
+        
+        promptPending = true;
+        showDraftPrompt(form, draft, restore => {
+            promptPending = false;
+            
+            if (restore) {
+                applyFormState(form, draft.values);
+                form.dispatchEvent(new CustomEvent('form:draft-restored', { detail: { draft } }));
+            } else {
+                clearFormDraft(form.id);
+            }
+            saveDraft();
+        });
+    }, 0);
+}
+
+function showDraftPrompt(form, draft, onChoice) {
+    const messages = rootsAcademy.config.messages;
+    const savedOn = new Date(draft.savedAt).toLocaleString(undefined, {
+        day: 'numeric',
+        month: 'short',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+    
+    const prompt = document.createElement('div');
+    prompt.className = 'draft-prompt alert alert-info d-flex flex-wrap align-items-center gap-2';
+    prompt.setAttribute('role', 'region');
+    prompt.setAttribute('aria-label', 'Saved draft');
+    
+    const text = document.createElement('p');
+    text.className = 'mb-0 me-auto';
+    text.innerHTML = '<strong></strong> <span></span>';
+    text.querySelector('strong').textContent = form.dataset.draftPrompt || messages.draftPrompt;
+    text.querySelector('span').textContent = messages.draftSavedAt.replace('{date}', savedOn);
+    
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'btn btn-sm btn-primary';
+    restoreBtn.textContent = messages.draftRestore;
+    
+    const discardBtn = document.createElement('button');
+    discardBtn.type = 'button';
+    discardBtn.className = 'btn btn-sm btn-outline-secondary';
+    discardBtn.textContent = messages.draftDiscard;
+    
+    const choose = restore => {
+        prompt.remove();
+        onChoice(restore);
+    };
+    restoreBtn.addEventListener('click', () => choose(true));
+    discardBtn.addEventListener('click', () => choose(false));
+    
+    prompt.append(text, restoreBtn, discardBtn);
+    form.prepend(prompt);
+}
+
 function submitForm(form) {
-    const submitBtn = form.querySelector('button[type="submit"]');
-    const originalText = submitBtn.textContent;
+    const submitBtn = getSubmitButton(form);
+    const originalHTML = submitBtn ? submitBtn.innerHTML : '';
+    
+    const restoreSubmitButton = () => {
+        form.removeAttribute('aria-busy');
+        if (submitBtn) {
+            submitBtn.innerHTML = originalHTML;
+            submitBtn.disabled = false;
+        }
+    };
     
     // Show loading state
-    submitBtn.textContent = 'Submitting...';
-    submitBtn.disabled = true;
+    if (submitBtn) {
+        submitBtn.textContent = 'Submitting...';
+        submitBtn.disabled = true;
+    }
+    form.setAttribute('aria-busy', 'true');
     
-    // Simulate form submission (replace with actual API call)
-    setTimeout(() => {
-        showFormSuccess();
-        form.reset();
+    if (typeof SubmissionManager === 'undefined') {
+        console.error('🚨 submission.js is not loaded - cannot send form');
+        showFormNotification(rootsAcademy.config.messages.submitFailed, 'danger');
+        restoreSubmitButton();
+        return Promise.resolve(false);
+    }
+    
+    const guardCheck = typeof FormGuard !== 'undefined'
+        ? FormGuard.check(form)
+        : Promise.resolve({ ok: true, proof: null });
+    
+    return guardCheck
+        .then(verdict => {
+            if (!verdict.ok) {
+                handleGuardRejection(form, verdict);
+                return { blocked: true };
+            }
+            
+            const headers = verdict.proof ? { 'X-Form-Guard': JSON.stringify(verdict.proof) } : {};
+            return SubmissionManager.submit(form, { headers });
+        })
+        .then(result => {
+            if (result.blocked) return false;
+            
+            if (result.queued) {
+                const queuedEvent = new CustomEvent('form:queued', {
+                    cancelable: true,
+                    detail: { result }
+                });
+                
+                // Saved to the outbox - be clear it has not been sent yet
+                if (form.dispatchEvent(queuedEvent)) {
+                    showFormNotification(rootsAcademy.config.messages.submitQueued, 'info');
+                }
+                
+                form.reset();
+                resetFieldValidation(form);
+                return true;
+            }
+            
+            const submittedEvent = new CustomEvent('form:submitted', {
+                cancelable: true,
+                detail: { result }
+            });
+            
+            // Pages may call preventDefault() to show their own success UI
+            if (form.dispatchEvent(submittedEvent)) {
+                showFormNotification(form.dataset.successMessage || rootsAcademy.config.messages.submitSuccess, 'success');
+            }
+            
+            form.reset();
+            resetFieldValidation(form);
+            return true;
+        })
+        .catch(error => {
+            if (error.fieldErrors && Object.keys(error.fieldErrors).length > 0) {
+                applyServerFieldErrors(form, error.fieldErrors);
+            }
+            
+            form.dispatchEvent(new CustomEvent('form:failed', { detail: { error } }));
+            showFormNotification(getSubmissionErrorMessage(error), 'danger');
+            return false;
+        })
+        .finally(restoreSubmitButton);
+}
+
+function handleGuardRejection(form, verdict) {
+    const messages = rootsAcademy.config.messages;
+    
+    switch (verdict.reason) {
+        case 'honeypot':
+            // Don't tell bots they were caught - look like a normal success
+            showFormNotification(messages.submitSuccess, 'success');
+            form.reset();
+            resetFieldValidation(form);
+            break;
+        case 'too-fast':
+            showFormNotification(messages.guardTooFast, 'warning');
+            break;
+        case 'rate-limited':
+            showFormNotification(messages.guardRateLimited.replace('{minutes}', Math.ceil(verdict.retryAfter / 60000)), 'warning');
+            break;
+        default:
+            showFormNotification(messages.guardChallengeFailed, 'danger');
+    }
+    
+    form.dispatchEvent(new CustomEvent('form:blocked', { detail: { reason: verdict.reason } }));
+}
+
+function getSubmitButton(form) {
+    // Submit buttons may also sit outside the form via the form="..." attribute
+    return form.querySelector('button[type="submit"]') ||
+        (form.id ? document.querySelector(`button[type="submit"][form="${form.id}"]`) : null);
+}
+
+function resetFieldValidation(form) {
+    const validatedFields = form.querySelectorAll('.is-valid, .is-invalid');
+    validatedFields.forEach(field => {
+        field.classList.remove('is-valid', 'is-invalid');
+    });
+}
+
+function applyServerFieldErrors(form, fieldErrors) {
+    let firstInvalid = null;
+    
+    Object.entries(fieldErrors).forEach(([name, message]) => {
+        const control = form.elements[name];
+        if (!control) return;
         
-        // Reset button
-        submitBtn.textContent = originalText;
-        submitBtn.disabled = false;
+        // Radio groups come back as a RadioNodeList
+        const field = control instanceof RadioNodeList ? control[0] : control;
+        const errorMessage = Array.isArray(message) ? message[0] : message;
         
-        // Clear validation classes
-        const validatedFields = form.querySelectorAll('.is-valid, .is-invalid');
-        validatedFields.forEach(field => {
-            field.classList.remove('is-valid', 'is-invalid');
-        });
-    }, 2000);
+        showFieldValidation(field, false, errorMessage);
+        firstInvalid = firstInvalid || field;
+    });
+    
+    if (firstInvalid) {
+        firstInvalid.focus();
+    }
+}
+
+function getSubmissionErrorMessage(error) {
+    const messages = rootsAcademy.config.messages;
+    
+    switch (error.type) {
+        case 'validation':
+            return messages.submitInvalid;
+        case 'timeout':
+            return messages.submitTimeout;
+        case 'network':
+            return messages.submitOffline;
+        default:
+            return messages.submitFailed;
+    }
 }
 
-function showFormSuccess() {
-    // Create success notification
+function showFormNotification(message, variant = 'success') {
+    // Create notification
     const notification = document.createElement('div');
-    notification.className = 'alert alert-success position-fixed';
+    notification.className = `alert alert-${variant} position-fixed`;
     notification.style.cssText = 'top: 20px; right: 20px; z-index: 9999;';
-    notification.textContent = 'Form submitted successfully!';
+    notification.setAttribute('role', variant === 'danger' ? 'alert' : 'status');
+    notification.textContent = message;
     
     document.body.appendChild(notification);
     
-    // Remove after 3 seconds
+    // Errors stay on screen a little longer
     setTimeout(() => {
         notification.remove();
-    }, 3000);
+    }, variant === 'danger' ? 6000 : 3000);
 }
 
 // ========================
@@ -524,6 +720,7 @@ function initLazyLoading() {
     });
     
     lazyElements.forEach(element => lazyObserver.observe(element));
+    rootsAcademy.observers.push(lazyObserver);
 }
 
 function loadLazyElement(element) {
@@ -571,11 +768,18 @@ function initCustomCursor() {
     }
     updateCursor();
     
-    // Cursor interactions
-    const interactiveElements = document.querySelectorAll('a, button, .btn, [data-cursor]');
-    interactiveElements.forEach(element => {
-        element.addEventListener('mouseenter', () => cursor.classList.add('cursor-hover'));
-        element.addEventListener('mouseleave', () => cursor.classList.remove('cursor-hover'));
+    // Cursor interactions, delegated so swapped-in page content is covered too
+    const interactiveSelector = 'a, button, .btn, [data-cursor]';
+    document.addEventListener('mouseover', (e) => {
+        if (e.target instanceof Element && e.target.closest(interactiveSelector)) {
+            cursor.classList.add('cursor-hover');
+        }
+    });
+    document.addEventListener('mouseout', (e) => {
+        if (e.target instanceof Element && e.target.closest(interactiveSelector) &&
+            !(e.relatedTarget instanceof Element && e.relatedTarget.closest(interactiveSelector))) {
+            cursor.classList.remove('cursor-hover');
+        }
     });
 }
 
@@ -583,25 +787,30 @@ function initCustomCursor() {
 // 10. SMOOTH SCROLLING
 // ========================
 
+// Delegated so links in swapped-in page content work without rebinding
 function initSmoothScrolling() {
-    const smoothLinks = document.querySelectorAll('a[href*="#"]:not([href="#"])');
+    document.addEventListener('click', function(e) {
+        const link = e.target instanceof Element && e.target.closest('a[href*="#"]:not([href="#"])');
+        if (!link) return;
+        
+        const url = ScrollSpy.parseLink(link);
+        if (!url || !ScrollSpy.isCurrentPage(url)) return;
+        
+        const targetElement = document.getElementById(decodeURIComponent(url.hash.slice(1)));
+        
+        if (targetElement) {
+            e.preventDefault();
+            scrollToElement(targetElement);
+        }
+    });
+}
+
+function scrollToElement(element, behavior = 'smooth') {
+    const offsetTop = element.getBoundingClientRect().top + window.scrollY - ScrollSpy.getOffset(); // Account for fixed navbar
     
-    smoothLinks.forEach(link => {
-        link.addEventListener('click', function(e) {
-            const targetId = this.getAttribute('href').substring(1);
-            const targetElement = document.getElementById(targetId);
-            
-            if (targetElement) {
-                e.preventDefault();
-                
-                const offsetTop = targetElement.offsetTop - 80; // Account for fixed navbar
-                
-                window.scrollTo({
-                    top: offsetTop,
-                    behavior: 'smooth'
-                });
-            }
-        });
+    window.scrollTo({
+        top: offsetTop,
+        behavior
     });
 }
 
@@ -632,11 +841,9 @@ function createBackToTopButton() {
 function toggleBackToTop(scrollY) {
     if (!rootsAcademy.backToTop) return;
     
-    if (scrollY > 500) {
-        rootsAcademy.backToTop.classList.add('visible');
-    } else {
-        rootsAcademy.backToTop.classList.remove('visible');
-    }
+    // toggle() with a force argument leaves the attribute alone when nothing changes,
+    // so the scheduler's MutationObserver is not woken up every frame
+    rootsAcademy.backToTop.classList.toggle('visible', scrollY > 500);
 }
 
 function scrollToTop() {
@@ -675,22 +882,66 @@ function throttle(func, limit) {
     };
 }
 
-// ========================
-// 13. PERFORMANCE MONITORING
-// ========================
+// Plain snapshot of a form's fields, e.g. for restoring progress after a reload
+// Consent is never stored or restored - it must be given afresh each time
+function isConsentField(field) {
+    return field.type === 'checkbox' && (field.required || field.hasAttribute('data-consent'));
+}
 
-// Performance observer for monitoring
-if ('PerformanceObserver' in window) {
-    const observer = new PerformanceObserver((list) => {
-        for (const entry of list.getEntries()) {
-            if (entry.entryType === 'navigation') {
-                console.log(`🚀 Page load time: ${entry.loadEventEnd - entry.loadEventStart}ms`);
-            }
+// The antispam honeypot is only there for bots to fill in
+function isHoneypotField(field) {
+    return typeof FormGuard !== 'undefined' && field.name === FormGuard.config.honeypotName;
+}
+
+function captureFormState(form, options = {}) {
+    const exclude = options.exclude || [];
+    const state = {};
+    
+    Array.from(form.elements).forEach(field => {
+        if (!field.name || exclude.includes(field.name) || isConsentField(field) || isHoneypotField(field)) return;
+        if (['password', 'file', 'submit', 'button', 'reset'].includes(field.type)) return;
+        
+        if (field.type === 'radio') {
+            if (field.checked) state[field.name] = field.value;
+        } else if (field.type === 'checkbox') {
+            state[field.name] = field.checked;
+        } else {
+            state[field.name] = field.value;
+        }
+    });
+    
+    return state;
+}
+
+function applyFormState(form, state) {
+    Object.entries(state).forEach(([name, value]) => {
+        const control = form.elements[name];
+        if (!control) return;
+        
+        let changed = control;
+        if (control instanceof RadioNodeList) {
+            control.value = value;
+            changed = Array.from(control).find(option => option.checked);
+        } else if (control.type === 'checkbox') {
+            control.checked = Boolean(value);
+        } else {
+            control.value = value;
+        }
+        
+        // Let page scripts (e.g. rating stars) react as if the user had answered
+        if (changed) {
+            changed.dispatchEvent(new Event('change', { bubbles: true }));
         }
     });
-    observer.observe({entryTypes: ['navigation']});
 }
 
+// ========================
+// 13. PERFORMANCE MONITORING
+// ========================
+
+// Core Web Vitals, long tasks, resource timings and particle FPS are
+// collected by PerformanceMonitor (performance.js)
+
 // ========================
 // 14. ERROR HANDLING
 // ========================
@@ -698,8 +949,9 @@ if ('PerformanceObserver' in window) {
 window.addEventListener('error', function(e) {
     console.error('🚨 JavaScript Error:', e.error);
     
-    // Optional: Send error to analytics
-    // analytics.track('javascript_error', { message: e.message });
+    if (typeof Analytics !== 'undefined') {
+        Analytics.track('javascript_error', { message: e.message, source: e.filename, line: e.lineno });
+    }
 });
 
 // Export for use in other scripts
@@ -0,0 +1,321 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - modals.js (Modal Manager)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: One owner for every dialog on the site: a modal
+ *              stack, focus trapping and restoration, Escape
+ *              handling and reference-counted scroll locking
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. SCROLL LOCK
+// ========================
+
+// Reference counted so nested modals (or a modal over the mobile menu)
+// only unlock the page when the last one lets go
+const ScrollLock = {
+    count: 0,
+    saved: null,
+
+    acquire() {
+        if (this.count === 0) {
+            const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+
+            this.saved = {
+                overflow: document.body.style.overflow,
+                paddingRight: document.body.style.paddingRight
+            };
+
+            document.body.style.overflow = 'hidden';
+
+            // Stop the page jumping sideways when the scrollbar disappears
+            if (scrollbarWidth > 0) {
+                document.body.style.paddingRight = `${scrollbarWidth}px`;
+            }
+        }
+
+        this.count++;
+    },
+
+    release() {
+        if (this.count === 0) return;
+
+        this.count--;
+
+        if (this.count === 0 && this.saved) {
+            document.body.style.overflow = this.saved.overflow;
+            document.body.style.paddingRight = this.saved.paddingRight;
+            this.saved = null;
+        }
+    },
+
+    isLocked() {
+        return this.count > 0;
+    }
+};
+
+// ========================
+// 2. MODAL MANAGER
+// ========================
+
+const ModalManager = {
+    // Configuration
+    config: {
+        triggerSelector: '[data-modal]',
+        closeSelector: '[data-modal-close], .modal-close',
+        focusableSelector: [
+            'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+            'select:not([disabled])', 'textarea:not([disabled])', 'iframe', '[tabindex]:not([tabindex="-1"])',
+            '[contenteditable="true"]'
+        ].join(', '),
+        baseZIndex: 1055,
+        transitionDuration: 300
+    },
+
+    // State
+    stack: [],
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        // One set of document listeners for every modal, however often they open
+        document.addEventListener('click', e => this.handleClick(e));
+        document.addEventListener('keydown', e => this.handleKeydown(e));
+    },
+
+    get top() {
+        return this.stack[this.stack.length - 1] || null;
+    },
+
+    isOpen(modal) {
+        return this.stack.some(entry => entry.modal === modal);
+    },
+
+    resolve(modal) {
+        return typeof modal === 'string' ? document.getElementById(modal.replace(/^#/, '')) : modal;
+    },
+
+    // Bootstrap markup (.modal) is shown the way Bootstrap would, everything else as a flex overlay
+    isBootstrapModal(modal) {
+        return modal.classList.contains('modal');
+    },
+
+    open(target, options = {}) {
+        const modal = this.resolve(target);
+        if (!modal || this.isOpen(modal)) return false;
+
+        const entry = {
+            modal,
+            trigger: options.trigger || document.activeElement,
+            destroyOnClose: Boolean(options.destroyOnClose),
+            isStatic: modal.hasAttribute('data-modal-static') || modal.dataset.bsBackdrop === 'static',
+            backdrop: null
+        };
+
+        const depth = this.stack.length;
+        this.stack.push(entry);
+
+        this.prepareDialog(modal);
+        modal.style.zIndex = this.config.baseZIndex + depth * 20;
+
+        if (this.isBootstrapModal(modal)) {
+            entry.backdrop = this.createBackdrop(depth);
+            modal.style.display = 'block';
+            // Force a reflow so the fade transition runs
+            void modal.offsetWidth;
+            modal.classList.add('show');
+            entry.backdrop.classList.add('show');
+        } else {
+            modal.style.display = 'flex';
+        }
+
+        ScrollLock.acquire();
+        this.focusInitial(modal);
+
+        modal.dispatchEvent(new CustomEvent('modal:open', {
+            detail: { trigger: entry.trigger, depth: depth + 1 }
+        }));
+
+        return true;
+    },
+
+    close(target) {
+        const modal = this.resolve(target || (this.top && this.top.modal));
+        const index = this.stack.findIndex(entry => entry.modal === modal);
+        if (index === -1) return false;
+
+        const [entry] = this.stack.splice(index, 1);
+
+        modal.setAttribute('aria-hidden', 'true');
+        modal.removeAttribute('aria-modal');
+        this.stopMedia(modal);
+
+        if (this.isBootstrapModal(modal)) {
+            modal.classList.remove('show');
+            if (entry.backdrop) entry.backdrop.classList.remove('show');
+
+            setTimeout(() => {
+                // Re-opened during the fade-out
+                if (this.isOpen(modal)) return;
+                modal.style.display = 'none';
+                if (entry.backdrop) entry.backdrop.remove();
+                if (entry.destroyOnClose) modal.remove();
+            }, this.config.transitionDuration);
+        } else {
+            modal.style.display = 'none';
+            if (entry.destroyOnClose) modal.remove();
+        }
+
+        ScrollLock.release();
+
+        // Back to where the user was: the trigger, or the modal underneath
+        const restoreTo = entry.trigger && entry.trigger.isConnected
+            ? entry.trigger
+            : this.top && this.top.modal;
+        if (restoreTo && typeof restoreTo.focus === 'function') {
+            restoreTo.focus();
+        }
+
+        modal.dispatchEvent(new CustomEvent('modal:close', {
+            detail: { trigger: entry.trigger, depth: this.stack.length }
+        }));
+
+        return true;
+    },
+
+    closeAll() {
+        while (this.stack.length) {
+            this.close(this.top.modal);
+        }
+    },
+
+    prepareDialog(modal) {
+        modal.setAttribute('role', modal.getAttribute('role') || 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.removeAttribute('aria-hidden');
+
+        if (!modal.hasAttribute('aria-labelledby') && !modal.hasAttribute('aria-label')) {
+            const title = modal.querySelector('.modal-title, h2, h3');
+            if (title) {
+                title.id = title.id || `${modal.id || 'modal'}-title`;
+                modal.setAttribute('aria-labelledby', title.id);
+            }
+        }
+
+        if (!modal.hasAttribute('tabindex')) {
+            modal.setAttribute('tabindex', '-1');
+        }
+    },
+
+    createBackdrop(depth) {
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop fade';
+        backdrop.style.zIndex = this.config.baseZIndex - 5 + depth * 20;
+        document.body.appendChild(backdrop);
+        return backdrop;
+    },
+
+    getFocusable(modal) {
+        return Array.from(modal.querySelectorAll(this.config.focusableSelector))
+            .filter(element => !element.closest('[hidden]') && element.getClientRects().length > 0);
+    },
+
+    focusInitial(modal) {
+        const preferred = modal.querySelector('[autofocus]');
+        const target = preferred || this.getFocusable(modal)[0] || modal;
+        target.focus();
+    },
+
+    // Reloading an iframe is the only player-agnostic way to stop playback;
+    // VideoPlayer media ([data-video-frame]) is paused by VideoManager instead
+    stopMedia(modal) {
+        modal.querySelectorAll('video:not([data-video-frame]), audio').forEach(media => media.pause());
+        modal.querySelectorAll('iframe[src]:not([data-video-frame])').forEach(frame => {
+            frame.setAttribute('src', frame.getAttribute('src'));
+        });
+    },
+
+    handleClick(e) {
+        const trigger = e.target.closest(this.config.triggerSelector);
+        if (trigger) {
+            const modal = this.resolve(trigger.dataset.modal);
+            if (modal) {
+                e.preventDefault();
+                this.open(modal, { trigger });
+            }
+            return;
+        }
+
+        const closer = e.target.closest(this.config.closeSelector);
+        if (closer) {
+            const modal = this.stack.map(entry => entry.modal).find(candidate => candidate.contains(closer));
+            if (modal) {
+                e.preventDefault();
+                this.close(modal);
+            }
+            return;
+        }
+
+        // A click on the overlay itself, outside the dialog content
+        const top = this.top;
+        if (top && e.target === top.modal && !top.isStatic) {
+            this.close(top.modal);
+        }
+    },
+
+    handleKeydown(e) {
+        const top = this.top;
+        if (!top) return;
+
+        if (e.key === 'Escape' && !top.isStatic) {
+            e.preventDefault();
+            this.close(top.modal);
+            return;
+        }
+
+        if (e.key === 'Tab') {
+            this.trapFocus(e, top.modal);
+        }
+    },
+
+    trapFocus(e, modal) {
+        const focusable = this.getFocusable(modal);
+
+        if (focusable.length === 0) {
+            e.preventDefault();
+            modal.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (!modal.contains(active)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && (active === first || active === modal)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+};
+
+// ========================
+// 3. INITIALIZATION
+// ========================
+
+ModalManager.init();
+
+// Export for use in other scripts
+window.ScrollLock = ScrollLock;
+window.ModalManager = ModalManager;
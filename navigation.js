@@ -0,0 +1,322 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - navigation.js (Navigation Controller)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Mobile menu and submenu behaviour for the main
+ *              navbar: roving focus, Escape handling, focus
+ *              trapping and restoration
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. NAVIGATION CONTROLLER
+// ========================
+
+// The hamburger's aria-expanded is the only record of whether the menu is
+// open; everything else is derived from it
+const NavigationController = {
+    // Configuration
+    config: {
+        navbarSelector: '.navbar',
+        toggleSelector: '.navbar-toggler',
+        menuSelector: '.navbar-collapse',
+        itemSelector: '.navbar-nav > .nav-item > .nav-link',
+        submenuToggleSelector: '.submenu-toggle',
+        submenuLinkSelector: '.submenu-link'
+    },
+
+    // State
+    navbar: null,
+    toggle: null,
+    menu: null,
+    items: [],
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+
+        this.navbar = document.querySelector(this.config.navbarSelector);
+        if (!this.navbar) return;
+
+        this.toggle = this.navbar.querySelector(this.config.toggleSelector);
+        this.menu = this.navbar.querySelector(this.config.menuSelector);
+        this.items = Array.from(this.navbar.querySelectorAll(this.config.itemSelector));
+        this.initialized = true;
+
+        if (this.toggle && this.menu) {
+            this.toggle.setAttribute('aria-expanded', 'false');
+            this.toggle.setAttribute('aria-controls', this.menu.id);
+        }
+
+        this.initRovingFocus();
+        this.bindEvents();
+    },
+
+    isOpen() {
+        return Boolean(this.toggle) && this.toggle.getAttribute('aria-expanded') === 'true';
+    },
+
+    // Below the lg breakpoint the hamburger is visible and the menu collapses
+    isCollapsible() {
+        return Boolean(this.toggle) && getComputedStyle(this.toggle).display !== 'none';
+    },
+
+    open() {
+        if (!this.toggle || this.isOpen()) return;
+
+        this.toggle.setAttribute('aria-expanded', 'true');
+        this.toggle.setAttribute('aria-label', 'Close menu');
+        this.menu.classList.add('show');
+        ScrollLock.acquire();
+
+        this.focusItem(this.getCurrentItem());
+    },
+
+    close(options = {}) {
+        if (!this.isOpen()) return;
+
+        this.closeSubmenus();
+        this.toggle.setAttribute('aria-expanded', 'false');
+        this.toggle.setAttribute('aria-label', 'Open menu');
+        this.menu.classList.remove('show');
+        ScrollLock.release();
+
+        if (options.restoreFocus) {
+            this.toggle.focus();
+        }
+    },
+
+    toggleMenu() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    },
+
+    bindEvents() {
+        if (this.toggle) {
+            this.toggle.addEventListener('click', () => this.toggleMenu());
+        }
+
+        this.navbar.addEventListener('keydown', e => this.handleKeydown(e));
+
+        this.navbar.querySelectorAll(this.config.submenuToggleSelector).forEach(button => {
+            button.addEventListener('click', () => {
+                this.setSubmenu(button, button.getAttribute('aria-expanded') !== 'true');
+            });
+        });
+
+        // Following a link closes everything
+        this.navbar.querySelectorAll(`${this.config.itemSelector}, ${this.config.submenuLinkSelector}`).forEach(link => {
+            link.addEventListener('click', () => this.close());
+        });
+
+        document.addEventListener('click', e => {
+            if (!this.navbar.contains(e.target)) {
+                this.closeSubmenus();
+                this.close();
+            }
+        });
+
+        // Desktop submenus close once focus moves elsewhere
+        this.navbar.addEventListener('focusout', e => {
+            if (!this.isOpen() && !this.navbar.contains(e.relatedTarget)) {
+                this.closeSubmenus();
+            }
+        });
+
+        // Rotating a tablet past the breakpoint must not leave the page scroll-locked
+        window.addEventListener('resize', debounce(() => {
+            if (this.isOpen() && !this.isCollapsible()) this.close();
+        }, 150));
+    }
+};
+
+// ========================
+// 2. ROVING FOCUS
+// ========================
+
+// Only one top-level link is in the tab order; arrow keys move between them
+NavigationController.initRovingFocus = function() {
+    this.setTabStop(this.getCurrentItem());
+};
+
+// A submenu toggle shares the tab stop of the link it belongs to
+NavigationController.setTabStop = function(current) {
+    this.items.forEach(item => {
+        const tabindex = item === current ? '0' : '-1';
+        const toggle = item.closest('.nav-item').querySelector(this.config.submenuToggleSelector);
+
+        item.setAttribute('tabindex', tabindex);
+        if (toggle) toggle.setAttribute('tabindex', tabindex);
+    });
+};
+
+NavigationController.getCurrentItem = function() {
+    return this.items.find(item => item.getAttribute('tabindex') === '0') ||
+        this.items.find(item => item.classList.contains('active')) ||
+        this.items[0];
+};
+
+// After a page change the tab stop follows the new current page
+NavigationController.resetTabStop = function() {
+    this.setTabStop(this.items.find(item => item.classList.contains('active')) || this.items[0]);
+};
+
+NavigationController.focusItem = function(item) {
+    if (!item) return;
+
+    this.setTabStop(item);
+    item.focus();
+};
+
+NavigationController.moveFocus = function(from, offset) {
+    const index = this.items.indexOf(from);
+    const next = (index + offset + this.items.length) % this.items.length;
+    this.focusItem(this.items[next]);
+};
+
+NavigationController.handleKeydown = function(e) {
+    const target = e.target;
+
+    if (e.key === 'Escape') {
+        const openSubmenu = target.closest('.submenu');
+        const toggle = openSubmenu
+            ? this.navbar.querySelector(`[aria-controls="${openSubmenu.id}"]`)
+            : target.closest(this.config.submenuToggleSelector);
+
+        if (toggle && toggle.getAttribute('aria-expanded') === 'true') {
+            this.setSubmenu(toggle, false);
+            toggle.focus();
+        } else if (this.isOpen()) {
+            this.close({ restoreFocus: true });
+        } else {
+            this.closeSubmenus();
+        }
+        return;
+    }
+
+    if (e.key === 'Tab' && this.isOpen() && this.isCollapsible()) {
+        this.trapFocus(e);
+        return;
+    }
+
+    if (target.matches(this.config.submenuLinkSelector)) {
+        this.handleSubmenuKeydown(e);
+        return;
+    }
+
+    if (e.key === 'ArrowDown' && target.matches(this.config.submenuToggleSelector) &&
+        target.getAttribute('aria-expanded') === 'true') {
+        e.preventDefault();
+        this.getSubmenuLinks(target)[0].focus();
+        return;
+    }
+
+    const item = target.matches(this.config.submenuToggleSelector)
+        ? target.closest('.nav-item').querySelector('.nav-link')
+        : target;
+    if (!this.items.includes(item)) return;
+
+    // Vertical list in the mobile menu, horizontal bar on desktop
+    const vertical = this.isCollapsible();
+    const nextKey = vertical ? 'ArrowDown' : 'ArrowRight';
+    const prevKey = vertical ? 'ArrowUp' : 'ArrowLeft';
+
+    if (e.key === nextKey) {
+        e.preventDefault();
+        this.moveFocus(item, 1);
+    } else if (e.key === prevKey) {
+        e.preventDefault();
+        this.moveFocus(item, -1);
+    } else if (e.key === 'Home') {
+        e.preventDefault();
+        this.focusItem(this.items[0]);
+    } else if (e.key === 'End') {
+        e.preventDefault();
+        this.focusItem(this.items[this.items.length - 1]);
+    } else if (!vertical && e.key === 'ArrowDown') {
+        // Desktop: ArrowDown on a link with a submenu opens it
+        const toggle = item.closest('.nav-item').querySelector(this.config.submenuToggleSelector);
+        if (toggle) {
+            e.preventDefault();
+            this.setSubmenu(toggle, true);
+            this.getSubmenuLinks(toggle)[0].focus();
+        }
+    }
+};
+
+// The open mobile menu keeps focus between the hamburger and its own items
+NavigationController.trapFocus = function(e) {
+    const focusable = [this.toggle, ...Array.from(this.menu.querySelectorAll('a, button'))
+        .filter(element => element.getAttribute('tabindex') !== '-1' && !element.closest('[hidden]'))];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+};
+
+// ========================
+// 3. SUBMENUS
+// ========================
+
+NavigationController.getSubmenuLinks = function(toggle) {
+    const submenu = document.getElementById(toggle.getAttribute('aria-controls'));
+    return submenu ? Array.from(submenu.querySelectorAll(this.config.submenuLinkSelector)) : [];
+};
+
+NavigationController.setSubmenu = function(toggle, expanded) {
+    const submenu = document.getElementById(toggle.getAttribute('aria-controls'));
+    if (!submenu) return;
+
+    if (expanded) this.closeSubmenus(toggle);
+
+    toggle.setAttribute('aria-expanded', String(expanded));
+    submenu.hidden = !expanded;
+};
+
+NavigationController.closeSubmenus = function(except) {
+    if (!this.navbar) return;
+
+    this.navbar.querySelectorAll(`${this.config.submenuToggleSelector}[aria-expanded="true"]`).forEach(toggle => {
+        if (toggle !== except) this.setSubmenu(toggle, false);
+    });
+};
+
+NavigationController.handleSubmenuKeydown = function(e) {
+    const submenu = e.target.closest('.submenu');
+    const toggle = this.navbar.querySelector(`[aria-controls="${submenu.id}"]`);
+    const links = this.getSubmenuLinks(toggle);
+    const index = links.indexOf(e.target);
+
+    if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        links[(index + 1) % links.length].focus();
+    } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (index === 0) {
+            toggle.focus();
+        } else {
+            links[index - 1].focus();
+        }
+    } else if (e.key === 'Home') {
+        e.preventDefault();
+        links[0].focus();
+    } else if (e.key === 'End') {
+        e.preventDefault();
+        links[links.length - 1].focus();
+    }
+};
+
+// Export for use in other scripts
+window.NavigationController = NavigationController;
@@ -502,6 +502,9 @@ const PerformanceManager = {
                 frames = 0;
                 lastTime = currentTime;
                 
+                // Shared with real-user monitoring (performance.js)
+                window.dispatchEvent(new CustomEvent('performance:fps', { detail: { fps } }));
+                
                 // Adjust particle systems based on FPS
                 if (fps < 30 && this.isHighPerformance) {
                     this.isHighPerformance = false;
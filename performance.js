@@ -0,0 +1,411 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - performance.js (Real User Monitoring)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Collects LCP, CLS, INP, long tasks, resource
+ *              timings and particle frame rate per page view,
+ *              including views PageRouter swaps in, and reports
+ *              them through a pluggable sink
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. SINKS
+// ========================
+
+// A sink implements send(report)
+
+const consoleRumSink = {
+    send(report) {
+        console.log(`📈 ${report.page} (${report.device.class})`, report.metrics);
+    }
+};
+
+function createRumBeaconSink(url) {
+    return {
+        send(report) {
+            const body = JSON.stringify(report);
+
+            if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+                return;
+            }
+
+            fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {});
+        }
+    };
+}
+
+function createRumMemorySink() {
+    return {
+        reports: [],
+
+        send(report) {
+            this.reports.push(report);
+        }
+    };
+}
+
+// ========================
+// 2. PERFORMANCE MONITOR
+// ========================
+
+const PerformanceMonitor = {
+    // Configuration
+    config: {
+        sink: 'beacon',
+        endpoint: '/api/rum',
+        slowResourceLimit: 10,
+        storageKey: 'rootsAcademy.rum',
+        // Page views kept per page and device class for the local summary
+        historySize: 20
+    },
+
+    // State
+    sinks: new Map(),
+    observers: [],
+    // The page view being measured: { id, page, type: 'load' | 'route', start }
+    view: null,
+    metrics: null,
+    interactions: new Map(),
+    clsWindow: { value: 0, start: 0, last: 0 },
+    reported: false,
+    started: false,
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        this.sinks.set('console', consoleRumSink);
+        this.sinks.set('beacon', createRumBeaconSink(this.config.endpoint));
+        this.sinks.set('memory', createRumMemorySink());
+
+        this.startView('load');
+
+        this.observe('largest-contentful-paint', entries => {
+            const last = entries[entries.length - 1];
+            // Browsers only measure LCP for the document load, never for a routed view
+            if (this.view.type !== 'load') return;
+            this.metrics.lcp = {
+                value: Math.round(last.startTime),
+                element: last.element ? this.describeElement(last.element) : null,
+                url: last.url || null
+            };
+        });
+
+        this.observe('layout-shift', entries => entries.forEach(entry => this.addLayoutShift(entry)));
+
+        // INP: worst interaction latency, grouped by interactionId
+        this.observe('event', entries => entries.forEach(entry => this.addInteraction(entry)), { durationThreshold: 40 });
+        this.observe('first-input', entries => entries.forEach(entry => this.addInteraction(entry)));
+
+        this.observe('longtask', entries => entries.forEach(entry => {
+            if (entry.startTime < this.view.start) return;
+
+            const tasks = this.metrics.longTasks;
+            tasks.count++;
+            tasks.totalBlockingTime += Math.max(0, Math.round(entry.duration - 50));
+            tasks.longest = Math.max(tasks.longest, Math.round(entry.duration));
+        }));
+
+        // PerformanceManager in particles.js announces each one-second FPS sample
+        window.addEventListener('performance:fps', e => this.addFrameRate(e.detail.fps));
+
+        // Report when the page is hidden: the last moment that is reliable on mobile
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.report();
+            } else {
+                // Back in the tab: whatever happens next goes out as an update for the same view
+                this.reported = false;
+            }
+        });
+        window.addEventListener('pagehide', () => this.report());
+    },
+
+    observe(type, callback, options = {}) {
+        if (!('PerformanceObserver' in window) ||
+            !(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+            return;
+        }
+
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+        } catch (error) {
+            // Older engines reject single-type observation
+        }
+    },
+
+    registerSink(name, sink) {
+        if (!sink || typeof sink.send !== 'function') {
+            throw new TypeError(`RUM sink "${name}" must implement send(report)`);
+        }
+        this.sinks.set(name, sink);
+    },
+
+    useSink(name) {
+        this.config.sink = name;
+    },
+
+    // Starts measuring a new page view. PageRouter calls this with 'route' once it has
+    // swapped a page in, after report() has sent the outgoing one
+    startView(type = 'route') {
+        this.view = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            page: location.pathname,
+            type,
+            start: type === 'load' ? 0 : performance.now()
+        };
+        this.metrics = {
+            lcp: null,
+            cls: 0,
+            inp: null,
+            longTasks: { count: 0, totalBlockingTime: 0, longest: 0 },
+            fps: { samples: 0, min: null, average: null },
+            navigation: null,
+            resources: null
+        };
+        this.interactions = new Map();
+        this.clsWindow = { value: 0, start: 0, last: 0 };
+        this.reported = false;
+    }
+};
+
+// ========================
+// 3. METRICS
+// ========================
+
+// CLS uses session windows: shifts less than 1s apart, capped at 5s, worst window wins
+PerformanceMonitor.addLayoutShift = function(entry) {
+    if (entry.hadRecentInput || entry.startTime < this.view.start) return;
+
+    const session = this.clsWindow;
+
+    if (session.value && (entry.startTime - session.last > 1000 || entry.startTime - session.start > 5000)) {
+        session.value = 0;
+    }
+
+    if (!session.value) session.start = entry.startTime;
+
+    session.value += entry.value;
+    session.last = entry.startTime;
+    this.metrics.cls = Math.max(this.metrics.cls, Number(session.value.toFixed(4)));
+};
+
+PerformanceMonitor.addInteraction = function(entry) {
+    if (!entry.interactionId || entry.startTime < this.view.start) return;
+
+    const previous = this.interactions.get(entry.interactionId);
+    if (!previous || entry.duration > previous.duration) {
+        this.interactions.set(entry.interactionId, {
+            duration: Math.round(entry.duration),
+            type: entry.name,
+            target: entry.target ? this.describeElement(entry.target) : null
+        });
+    }
+
+    // Approximates the 98th percentile: ignore one outlier per 50 interactions
+    const sorted = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+    this.metrics.inp = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))];
+};
+
+PerformanceMonitor.addFrameRate = function(fps) {
+    const stats = this.metrics.fps;
+
+    stats.average = stats.samples
+        ? Math.round((stats.average * stats.samples + fps) / (stats.samples + 1))
+        : fps;
+    stats.samples++;
+    stats.min = stats.min === null ? fps : Math.min(stats.min, fps);
+};
+
+PerformanceMonitor.collectNavigation = function() {
+    const [navigation] = performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+    if (!navigation) return null;
+
+    return {
+        ttfb: Math.round(navigation.responseStart),
+        domContentLoaded: Math.round(navigation.domContentLoadedEventEnd),
+        load: Math.round(navigation.loadEventEnd),
+        transferSize: navigation.transferSize
+    };
+};
+
+// Only what this view fetched: a routed view doesn't count the first page's files
+PerformanceMonitor.collectResources = function() {
+    const entries = (performance.getEntriesByType ? performance.getEntriesByType('resource') : [])
+        .filter(entry => entry.startTime >= this.view.start);
+    const byType = {};
+
+    entries.forEach(entry => {
+        const type = byType[entry.initiatorType] || (byType[entry.initiatorType] = { count: 0, transferSize: 0 });
+        type.count++;
+        type.transferSize += entry.transferSize || 0;
+    });
+
+    const slowest = entries
+        .slice()
+        .sort((a, b) => b.duration - a.duration)
+        .slice(0, this.config.slowResourceLimit)
+        .map(entry => ({
+            name: entry.name.split('?')[0],
+            type: entry.initiatorType,
+            duration: Math.round(entry.duration),
+            transferSize: entry.transferSize || 0
+        }));
+
+    return { count: entries.length, byType, slowest };
+};
+
+PerformanceMonitor.getDeviceContext = function() {
+    const connection = navigator.connection || {};
+    const mobile = window.matchMedia('(pointer: coarse)').matches || window.innerWidth < 768;
+
+    return {
+        class: mobile ? 'mobile' : 'desktop',
+        viewport: `${window.innerWidth}x${window.innerHeight}`,
+        memory: navigator.deviceMemory || null,
+        cores: navigator.hardwareConcurrency || null,
+        connection: connection.effectiveType || null,
+        reducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches,
+        particles: typeof PerformanceManager !== 'undefined' ? PerformanceManager.isHighPerformance : null
+    };
+};
+
+PerformanceMonitor.describeElement = function(element) {
+    if (!element || !element.tagName) return null;
+
+    let description = element.tagName.toLowerCase();
+    if (element.id) description += `#${element.id}`;
+    if (typeof element.className === 'string' && element.className.trim()) {
+        description += `.${element.className.trim().split(/\s+/)[0]}`;
+    }
+    return description;
+};
+
+// ========================
+// 4. REPORTING
+// ========================
+
+PerformanceMonitor.buildReport = function() {
+    // Document timings belong to the first view only
+    this.metrics.navigation = this.view.type === 'load' ? this.collectNavigation() : null;
+    this.metrics.resources = this.collectResources();
+
+    return {
+        // A view hidden and shown again reports more than once; the latest report for an id wins
+        viewId: this.view.id,
+        // The view's own path: by the time PageRouter asks, location already shows the next page
+        page: this.view.page,
+        navigationType: this.view.type,
+        duration: Math.round(performance.now() - this.view.start),
+        timestamp: new Date().toISOString(),
+        device: this.getDeviceContext(),
+        // A copy: the view keeps measuring after an early report
+        metrics: JSON.parse(JSON.stringify(this.metrics))
+    };
+};
+
+// One report per page view, and an update if it's hidden again after coming back;
+// RUM counts as analytics for consent purposes
+PerformanceMonitor.report = function() {
+    if (this.reported || !this.metrics) return null;
+    if (typeof ConsentManager !== 'undefined' && !ConsentManager.has('analytics')) return null;
+
+    this.reported = true;
+    const report = this.buildReport();
+
+    this.remember(report);
+
+    const sink = this.sinks.get(this.config.sink);
+    try {
+        if (sink) sink.send(report);
+    } catch (error) {
+        // Monitoring must never break the page
+    }
+
+    return report;
+};
+
+// ========================
+// 5. PER-PAGE SUMMARY
+// ========================
+
+// Every view, routed ones included, adds a sample for its page and device class
+PerformanceMonitor.remember = function(report) {
+    const key = `${report.page}|${report.device.class}`;
+    const history = this.readHistory();
+    const samples = history[key] || [];
+
+    const sample = {
+        view: report.viewId,
+        lcp: report.metrics.lcp ? report.metrics.lcp.value : null,
+        cls: report.metrics.cls,
+        inp: report.metrics.inp ? report.metrics.inp.duration : null,
+        tbt: report.metrics.longTasks.totalBlockingTime,
+        fps: report.metrics.fps.average
+    };
+
+    // An update replaces the earlier sample from the same view
+    const index = samples.findIndex(entry => entry.view === sample.view);
+    if (index === -1) {
+        samples.push(sample);
+    } else {
+        samples[index] = sample;
+    }
+    history[key] = samples.slice(-this.config.historySize);
+
+    try {
+        localStorage.setItem(this.config.storageKey, JSON.stringify(history));
+    } catch (error) {
+        // History is optional
+    }
+};
+
+PerformanceMonitor.readHistory = function() {
+    try {
+        return JSON.parse(localStorage.getItem(this.config.storageKey)) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+// p75 of each metric per page and device class, the threshold Core Web Vitals use
+PerformanceMonitor.getPageSummary = function() {
+    const quantile = (values, q) => {
+        const sorted = values.filter(value => value !== null).sort((a, b) => a - b);
+        return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))] : null;
+    };
+
+    return Object.entries(this.readHistory()).map(([key, samples]) => {
+        const [page, device] = key.split('|');
+        const values = metric => samples.map(sample => sample[metric]);
+
+        return {
+            page,
+            device,
+            views: samples.length,
+            lcp: quantile(values('lcp'), 0.75),
+            cls: quantile(values('cls'), 0.75),
+            inp: quantile(values('inp'), 0.75),
+            tbt: quantile(values('tbt'), 0.75),
+            // Lowest quartile: how bad the animation gets for the worst-off visitors
+            fps: quantile(values('fps'), 0.25)
+        };
+    });
+};
+
+// Observers start immediately so buffered entries from early loading are kept
+PerformanceMonitor.start();
+
+// Export for use in other scripts
+window.PerformanceMonitor = PerformanceMonitor;
@@ -0,0 +1,479 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - predictor.js (Rank Predictor)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Estimates a rank band and likely colleges
+ *              from an exam score, using the score-to-rank
+ *              and closing-rank history in results.json.
+ *              Runs entirely in the browser
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. ESTIMATES
+// ========================
+
+// Every past year turns the score into a rank on its own; the spread between
+// those ranks is the confidence range, so a volatile exam gives a wider band
+const RankEstimator = {
+    // Ranks from past years are widened by this much on either side
+    margin: 0.1,
+    // Spread of the band relative to the estimate, for each confidence level
+    confidenceLevels: [
+        { level: 'high', maxSpread: 0.25 },
+        { level: 'medium', maxSpread: 0.6 },
+        { level: 'low', maxSpread: Infinity }
+    ],
+
+    // A percentile maps straight onto the candidate count; marks go through the published score/rank points
+    rankForYear(exam, yearData, score) {
+        if (exam.scoreType === 'percentile') {
+            return { rank: Math.max(1, Math.round((100 - score) / 100 * yearData.candidates)), outOfRange: false };
+        }
+        return this.interpolate(yearData.points, score);
+    },
+
+    // Points run from the top score down. Ranks grow roughly exponentially as marks
+    // fall, so the interpolation is linear in log(rank)
+    interpolate(points, score) {
+        const top = points[0];
+        const bottom = points[points.length - 1];
+
+        if (score >= top[0]) return { rank: top[1], outOfRange: false };
+        if (score < bottom[0]) return { rank: bottom[1], outOfRange: true };
+
+        for (let i = 1; i < points.length; i++) {
+            const [upperScore, upperRank] = points[i - 1];
+            const [lowerScore, lowerRank] = points[i];
+            if (score < lowerScore) continue;
+
+            const position = (upperScore - score) / (upperScore - lowerScore);
+            const logRank = Math.log(upperRank) + position * (Math.log(lowerRank) - Math.log(upperRank));
+            return { rank: Math.max(1, Math.round(Math.exp(logRank))), outOfRange: false };
+        }
+
+        return { rank: bottom[1], outOfRange: true };
+    },
+
+    estimate(exam, category, score) {
+        const years = Object.keys(exam.years).sort();
+        const history = years.map(year => ({ year: Number(year), ...this.rankForYear(exam, exam.years[year], score) }));
+        const ranks = history.map(entry => entry.rank);
+
+        const best = Math.max(1, Math.floor(Math.min(...ranks) * (1 - this.margin)));
+        const worst = Math.ceil(Math.max(...ranks) * (1 + this.margin));
+        // The latest year counts double: papers and applicant numbers drift
+        const weighted = ranks.reduce((sum, rank, index) => sum + rank * (index === ranks.length - 1 ? 2 : 1), 0);
+        const rank = Math.round(weighted / (ranks.length + 1));
+
+        const outOfRange = history.some(entry => entry.outOfRange);
+        const spread = (worst - best) / rank;
+        const confidence = outOfRange
+            ? 'low'
+            : this.confidenceLevels.find(level => spread <= level.maxSpread).level;
+
+        const categoryRank = category.id === 'general' ? null : {
+            best: Math.max(1, Math.round(best * category.share)),
+            worst: Math.max(1, Math.round(worst * category.share))
+        };
+
+        return {
+            rank,
+            best,
+            worst,
+            confidence,
+            outOfRange,
+            history,
+            categoryRank,
+            // JoSAA publishes category closings as category ranks; the other counsellings use the overall rank
+            colleges: exam.closingRanks === 'category' && categoryRank
+                ? this.matchColleges(exam, category, categoryRank.best, categoryRank.worst)
+                : this.matchColleges(exam, category, best, worst)
+        };
+    },
+
+    // "likely" when even the pessimistic end of the band beat every past closing rank,
+    // "possible" when the optimistic end beat at least one. Null when we have no
+    // closing ranks for the category at all
+    matchColleges(exam, category, best, worst) {
+        const colleges = exam.colleges.filter(college => college.closing[category.id]);
+        if (colleges.length === 0) return null;
+
+        return colleges
+            .map(college => {
+                const closing = college.closing[category.id];
+                const ranks = Object.values(closing);
+                const lowest = Math.min(...ranks);
+                const highest = Math.max(...ranks);
+
+                let chance = null;
+                if (worst <= lowest) {
+                    chance = 'likely';
+                } else if (best <= highest) {
+                    chance = 'possible';
+                }
+
+                return { ...college, closing, chance, lowest, highest };
+            })
+            .filter(college => college.chance)
+            .sort((a, b) => a.highest - b.highest);
+    }
+};
+
+// ========================
+// 2. RANK PREDICTOR WIDGET
+// ========================
+
+const RankPredictor = {
+    // Configuration
+    config: {
+        rootSelector: '[data-rank-predictor]',
+        maxColleges: 6,
+        messages: {
+            exam: 'Exam',
+            category: 'Category',
+            submit: 'Estimate my rank',
+            scoreHint: 'Between 0 and {max}',
+            invalid: 'Enter your {label} between 0 and {max}.',
+            estimate: 'Estimated {rankLabel}',
+            mostLikely: 'Most likely around {rank}',
+            categoryRank: '{category} category rank: about {best} - {worst}',
+            confidence: {
+                high: 'High confidence: the last {years} years agree closely',
+                medium: 'Medium confidence: ranks for this score moved between years',
+                low: 'Low confidence: ranks for this score varied widely or fall outside our data'
+            },
+            colleges: 'Colleges within reach',
+            noColleges: 'None of the colleges we track closed at this rank in the last {years} years. Talk to our counsellors about the options that do fit.',
+            noCategoryData: 'We don\'t have {category} closing ranks for this exam yet. Talk to our counsellors about the colleges open to you.',
+            likely: 'Likely',
+            possible: 'Possible',
+            closing: 'Closing {category} {rankLabel}',
+            closingCategoryRank: 'Closing {category} category rank',
+            history: 'Year-over-year data used',
+            year: 'Year',
+            rankForScore: '{rankLabel} for this score',
+            basis: 'Based on',
+            candidates: '{count} candidates',
+            points: 'Published score-to-rank data',
+            unavailable: 'The predictor needs our results data, which couldn\'t be loaded. Please refresh the page to try again.'
+        }
+    },
+
+    // State
+    root: null,
+    output: null,
+
+    init() {
+        const root = document.querySelector(this.config.rootSelector);
+        if (!root || root === this.root || typeof ResultsData === 'undefined') return;
+
+        this.root = root;
+
+        ResultsData.load()
+            .then(() => {
+                // PageRouter may have moved on while the data loaded
+                if (this.root !== root) return;
+                this.renderControls();
+                this.bindEvents();
+            })
+            .catch(() => {
+                if (this.root !== root) return;
+                root.replaceChildren(createPredictorElement('p', 'results-error', this.config.messages.unavailable));
+            });
+    },
+
+    // PageRouter calls this before swapping the page out
+    destroy() {
+        this.root = null;
+        this.output = null;
+    },
+
+    getData() {
+        return ResultsData.data.predictor;
+    },
+
+    getExam(id) {
+        return this.getData().exams[id] || null;
+    },
+
+    getCategory(id) {
+        return this.getData().categories.find(category => category.id === id) || null;
+    },
+
+    bindEvents() {
+        this.root.addEventListener('change', e => {
+            if (e.target.name === 'exam') this.updateScoreField();
+        });
+
+        this.root.addEventListener('click', e => {
+            if (e.target.closest('[data-predictor-submit]')) this.predict();
+        });
+
+        // Enter in the score box predicts, like submitting a form would
+        this.root.addEventListener('keydown', e => {
+            if (e.key !== 'Enter' || e.target.name !== 'score') return;
+            e.preventDefault();
+            this.predict();
+        });
+    },
+
+    predict() {
+        const messages = this.config.messages;
+        const examId = this.root.querySelector('[name="exam"]').value;
+        const exam = this.getExam(examId);
+        const category = this.getCategory(this.root.querySelector('[name="category"]').value);
+        const field = this.root.querySelector('[name="score"]');
+        const score = parseFloat(field.value);
+        const error = this.root.querySelector('.predictor-error');
+
+        const valid = field.value.trim() !== '' && Number.isFinite(score) && score >= 0 && score <= exam.max;
+        field.setAttribute('aria-invalid', String(!valid));
+        error.hidden = valid;
+
+        if (!valid) {
+            error.textContent = this.format(messages.invalid, { label: exam.scoreLabel, max: exam.max });
+            field.focus();
+            return;
+        }
+
+        const result = RankEstimator.estimate(exam, category, score);
+        this.renderResult(ResultsData.getExam(examId), exam, category, result);
+    },
+
+    format(template, values) {
+        return Object.entries(values).reduce(
+            (text, [name, value]) => text.split(`{${name}}`).join(value),
+            template
+        );
+    }
+};
+
+// ========================
+// 3. RENDERERS
+// ========================
+
+function createPredictorElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined && text !== null && text !== '') el.textContent = text;
+    return el;
+}
+
+function formatPredictorRank(rank) {
+    return rank.toLocaleString('en-IN');
+}
+
+// A div rather than a form: main.js treats every form on the page as an enquiry
+RankPredictor.renderControls = function() {
+    const messages = this.config.messages;
+    const data = this.getData();
+
+    // An exam can name itself for the predictor: the IIT-JEE results entry predicts from JEE Main
+    const exams = Object.keys(data.exams)
+        .map(id => ResultsData.getExam(id))
+        .filter(Boolean)
+        .map(exam => ({ value: exam.id, label: data.exams[exam.id].label || exam.name }));
+    const categories = data.categories.map(category => ({ value: category.id, label: category.label }));
+
+    const score = createPredictorElement('div', 'predictor-field');
+    const scoreLabel = createPredictorElement('label', 'form-label');
+    scoreLabel.htmlFor = 'predictorScore';
+    const scoreInput = createPredictorElement('input', 'form-control');
+    scoreInput.type = 'number';
+    scoreInput.id = 'predictorScore';
+    scoreInput.name = 'score';
+    scoreInput.min = '0';
+    scoreInput.step = 'any';
+    scoreInput.inputMode = 'decimal';
+    scoreInput.setAttribute('aria-describedby', 'predictorScoreHint predictorError');
+    const hint = createPredictorElement('small', 'form-text');
+    hint.id = 'predictorScoreHint';
+    score.append(scoreLabel, scoreInput, hint);
+
+    const submit = createPredictorElement('button', 'btn btn-primary', messages.submit);
+    submit.type = 'button';
+    submit.dataset.predictorSubmit = '';
+
+    const error = createPredictorElement('p', 'predictor-error');
+    error.id = 'predictorError';
+    error.setAttribute('role', 'alert');
+    error.hidden = true;
+
+    const fields = createPredictorElement('div', 'predictor-fields');
+    fields.setAttribute('role', 'group');
+    fields.setAttribute('aria-label', 'Your exam details');
+    fields.append(
+        this.createSelect('exam', messages.exam, exams),
+        score,
+        this.createSelect('category', messages.category, categories),
+        submit
+    );
+
+    this.output = createPredictorElement('div', 'predictor-result');
+    this.output.setAttribute('aria-live', 'polite');
+    this.output.hidden = true;
+
+    const note = createPredictorElement('p', 'predictor-note', data.note);
+
+    this.root.replaceChildren(fields, error, this.output, note);
+    this.updateScoreField();
+};
+
+RankPredictor.createSelect = function(name, label, options) {
+    const field = createPredictorElement('div', 'predictor-field');
+    const id = `predictor-${name}`;
+
+    const labelEl = createPredictorElement('label', 'form-label', label);
+    labelEl.htmlFor = id;
+
+    const select = createPredictorElement('select', 'form-select');
+    select.id = id;
+    select.name = name;
+    options.forEach(option => select.appendChild(new Option(option.label, option.value)));
+
+    field.append(labelEl, select);
+    return field;
+};
+
+// The score box follows the exam: a percentile for JEE Main, marks out of the paper total otherwise
+RankPredictor.updateScoreField = function() {
+    const exam = this.getExam(this.root.querySelector('[name="exam"]').value);
+    const input = this.root.querySelector('[name="score"]');
+
+    this.root.querySelector('label[for="predictorScore"]').textContent = exam.scoreLabel;
+    this.root.querySelector('#predictorScoreHint').textContent = this.format(this.config.messages.scoreHint, { max: exam.max });
+    input.max = String(exam.max);
+    input.removeAttribute('aria-invalid');
+    this.root.querySelector('.predictor-error').hidden = true;
+    this.output.hidden = true;
+};
+
+RankPredictor.renderResult = function(examInfo, exam, category, result) {
+    const messages = this.config.messages;
+    const years = result.history.length;
+
+    // Below the lowest published score we only know the rank is past the end of the data
+    const band = result.outOfRange
+        ? `${formatPredictorRank(Math.max(...result.history.map(entry => entry.rank)))}+`
+        : `${formatPredictorRank(result.best)} - ${formatPredictorRank(result.worst)}`;
+
+    const summary = createPredictorElement('div', 'predictor-summary');
+    summary.append(
+        createPredictorElement('span', 'predictor-label', this.format(messages.estimate, { rankLabel: exam.rankLabel })),
+        createPredictorElement('span', 'predictor-band', band)
+    );
+    if (!result.outOfRange) {
+        summary.appendChild(createPredictorElement('span', 'predictor-likely', this.format(messages.mostLikely, { rank: formatPredictorRank(result.rank) })));
+    }
+
+    if (result.categoryRank) {
+        summary.appendChild(createPredictorElement('span', 'predictor-category', this.format(messages.categoryRank, {
+            category: category.label,
+            best: formatPredictorRank(result.categoryRank.best),
+            worst: formatPredictorRank(result.categoryRank.worst)
+        })));
+    }
+
+    const confidence = createPredictorElement('p', `predictor-confidence confidence-${result.confidence}`,
+        this.format(messages.confidence[result.confidence], { years }));
+
+    this.output.replaceChildren(
+        summary,
+        confidence,
+        this.createCollegeList(exam, category, result, years),
+        this.createHistoryTable(exam, result)
+    );
+    if (exam.note) this.output.appendChild(createPredictorElement('p', 'predictor-note', exam.note));
+    this.output.hidden = false;
+
+    this.root.dispatchEvent(new CustomEvent('predictor:estimate', {
+        detail: { exam: examInfo ? examInfo.id : '', category: category.id, confidence: result.confidence }
+    }));
+};
+
+RankPredictor.createCollegeList = function(exam, category, result, years) {
+    const messages = this.config.messages;
+    const section = createPredictorElement('div', 'predictor-colleges');
+    section.appendChild(createPredictorElement('h4', null, messages.colleges));
+
+    if (!result.colleges) {
+        section.appendChild(createPredictorElement('p', null, this.format(messages.noCategoryData, { category: category.label })));
+        return section;
+    }
+
+    const colleges = result.colleges.slice(0, this.config.maxColleges);
+    if (colleges.length === 0) {
+        section.appendChild(createPredictorElement('p', null, this.format(messages.noColleges, { years })));
+        return section;
+    }
+
+    const closingLabel = exam.closingRanks === 'category' && result.categoryRank
+        ? this.format(messages.closingCategoryRank, { category: category.label })
+        : this.format(messages.closing, { category: category.label, rankLabel: exam.rankLabel });
+
+    const list = createPredictorElement('ul', 'predictor-college-list');
+    colleges.forEach(college => {
+        const item = createPredictorElement('li', 'predictor-college');
+        const closing = Object.entries(college.closing)
+            .map(([year, rank]) => `${year}: ${formatPredictorRank(rank)}`)
+            .join(' · ');
+
+        item.append(
+            createPredictorElement('span', `predictor-chance chance-${college.chance}`, messages[college.chance]),
+            createPredictorElement('strong', null, `${college.name} - ${college.program}`),
+            createPredictorElement('small', null, `${closingLabel}: ${closing}`)
+        );
+        list.appendChild(item);
+    });
+
+    section.appendChild(list);
+    return section;
+};
+
+RankPredictor.createHistoryTable = function(exam, result) {
+    const messages = this.config.messages;
+    const details = createPredictorElement('details', 'predictor-history');
+    details.appendChild(createPredictorElement('summary', null, messages.history));
+
+    const table = createPredictorElement('table', 'table table-sm');
+    const head = createPredictorElement('thead');
+    const headRow = createPredictorElement('tr');
+    [messages.year, this.format(messages.rankForScore, { rankLabel: exam.rankLabel }), messages.basis].forEach(text => {
+        const th = createPredictorElement('th', null, text);
+        th.scope = 'col';
+        headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    const body = createPredictorElement('tbody');
+    result.history.forEach(entry => {
+        const yearData = exam.years[entry.year];
+        const row = createPredictorElement('tr');
+        const year = createPredictorElement('th', null, String(entry.year));
+        year.scope = 'row';
+        row.append(
+            year,
+            createPredictorElement('td', null, `${entry.outOfRange ? '> ' : ''}${formatPredictorRank(entry.rank)}`),
+            createPredictorElement('td', null, exam.scoreType === 'percentile'
+                ? this.format(messages.candidates, { count: formatPredictorRank(yearData.candidates) })
+                : messages.points)
+        );
+        body.appendChild(row);
+    });
+
+    table.append(head, body);
+    details.appendChild(table);
+    return details;
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    RankPredictor.init();
+});
+
+// Export for use in other scripts
+window.RankEstimator = RankEstimator;
+window.RankPredictor = RankPredictor;
@@ -0,0 +1,134 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - pwa.js (App Updates)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Registers the service worker (sw.js) and asks
+ *              the visitor before switching to a newly
+ *              deployed version
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. APP UPDATER
+// ========================
+
+const AppUpdater = {
+    // Configuration
+    config: {
+        workerUrl: 'sw.js',
+        messages: {
+            updateAvailable: 'A new version of the Roots Academy site is available.',
+            updateAction: 'Refresh',
+            updateDismiss: 'Later'
+        }
+    },
+
+    // State
+    registration: null,
+    prompt: null,
+    updateAccepted: false,
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+        this.initialized = true;
+
+        // Registering after load keeps precaching out of the way of the first visit
+        if (document.readyState === 'complete') {
+            this.register();
+        } else {
+            window.addEventListener('load', () => this.register());
+        }
+
+        // The first install also changes controller; only reload when the visitor asked for it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.updateAccepted) return;
+            this.updateAccepted = false;
+            location.reload();
+        });
+
+        // Long visits through PageRouter never reload, so look for new deploys on each page change
+        document.addEventListener('page:load', e => {
+            if (!e.detail.initial && this.registration) {
+                this.registration.update().catch(() => {});
+            }
+        });
+    },
+
+    async register() {
+        try {
+            this.registration = await navigator.serviceWorker.register(this.config.workerUrl);
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return;
+        }
+
+        // A version that finished installing while no tab was asking
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(this.registration.waiting);
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(worker);
+                }
+            });
+        });
+    },
+
+    applyUpdate(worker) {
+        this.updateAccepted = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+};
+
+// ========================
+// 2. UPDATE PROMPT
+// ========================
+
+AppUpdater.showUpdatePrompt = function(worker) {
+    if (this.prompt) this.prompt.remove();
+
+    const messages = this.config.messages;
+    const prompt = document.createElement('div');
+    prompt.className = 'update-prompt';
+    prompt.setAttribute('role', 'status');
+
+    const text = document.createElement('p');
+    text.textContent = messages.updateAvailable;
+
+    const refresh = document.createElement('button');
+    refresh.type = 'button';
+    refresh.className = 'btn btn-primary btn-sm';
+    refresh.textContent = messages.updateAction;
+    refresh.addEventListener('click', () => {
+        refresh.disabled = true;
+        this.applyUpdate(worker);
+    });
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'btn btn-link btn-sm';
+    dismiss.textContent = messages.updateDismiss;
+    dismiss.addEventListener('click', () => {
+        prompt.remove();
+        this.prompt = null;
+    });
+
+    prompt.append(text, refresh, dismiss);
+    document.body.appendChild(prompt);
+    this.prompt = prompt;
+};
+
+AppUpdater.init();
+
+// Export for use in other scripts
+window.AppUpdater = AppUpdater;
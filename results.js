@@ -0,0 +1,636 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - results.js (Results Charts)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Dependency-free SVG line, bar and donut
+ *              charts with tooltips, keyboard navigation,
+ *              a data table fallback and scroll-in animation
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. CHART DATA
+// ========================
+
+// A chart reads its data from, in order of preference:
+//   data-chart-src="results.json" data-chart-key="trend.success"   a JSON file (key is a dot path)
+//   data-chart-data='[{"label":"2020","value":94}]'                  inline JSON
+//   <tr data-label="2020" data-value="94">                           marked-up rows, usually a table
+//                                                                    that doubles as the no-JS fallback
+// Items are { label, value, color?, note? }; an object of label -> value works too.
+const ChartData = {
+    requests: new Map(),
+
+    read(element) {
+        const { chartSrc, chartKey, chartData } = element.dataset;
+
+        if (chartSrc) {
+            return this.fetch(chartSrc).then(json => this.normalize(this.resolve(json, chartKey)));
+        }
+
+        if (chartData) {
+            try {
+                return Promise.resolve(this.normalize(JSON.parse(chartData)));
+            } catch (error) {
+                return Promise.reject(new Error(`Invalid data-chart-data on chart "${element.id || element.className}"`));
+            }
+        }
+
+        return Promise.resolve(this.fromElements(element));
+    },
+
+    // Several charts usually share one file, so each URL is fetched once
+    fetch(url) {
+        if (!this.requests.has(url)) {
+            const request = fetch(url, { headers: { 'Accept': 'application/json' } })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Chart data request failed: ${response.status}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    this.requests.delete(url);
+                    throw error;
+                });
+            this.requests.set(url, request);
+        }
+        return this.requests.get(url);
+    },
+
+    resolve(json, path) {
+        if (!path) return json;
+        return path.split('.').reduce((value, key) => (value == null ? value : value[key]), json);
+    },
+
+    fromElements(element) {
+        return Array.from(element.querySelectorAll('[data-value]')).map(item => ({
+            label: item.dataset.label || item.textContent.trim(),
+            value: parseChartNumber(item.dataset.value),
+            color: item.dataset.color || null,
+            note: item.dataset.note || null
+        })).filter(item => item.value !== null);
+    },
+
+    normalize(raw) {
+        if (!raw) return [];
+
+        const items = Array.isArray(raw)
+            ? raw
+            : Object.entries(raw).map(([label, value]) => ({ label, value }));
+
+        return items.map(item => ({
+            label: String(item.label),
+            value: parseChartNumber(item.value),
+            color: item.color || null,
+            note: item.note || null
+        })).filter(item => item.value !== null);
+    }
+};
+
+// "94%", "₹45,000" and "4.8" all become numbers
+function parseChartNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (value == null) return null;
+
+    const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function createSvgElement(tag, attributes = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+}
+
+// ========================
+// 2. BASE CHART
+// ========================
+
+class ResultsChart {
+    constructor(element, items, options = {}) {
+        this.element = element;
+        this.items = items;
+        this.points = [];
+        this.activeIndex = 0;
+        this.visible = false;
+
+        const data = element.dataset;
+
+        // Configuration
+        this.config = {
+            width: 400,
+            height: 240,
+            padding: { top: 24, right: 16, bottom: 36, left: 44 },
+            title: data.chartTitle || this.findTitle(),
+            prefix: data.chartPrefix || '',
+            unit: data.chartUnit || '',
+            decimals: Number(data.chartDecimals || 0),
+            min: parseChartNumber(data.chartMin),
+            max: parseChartNumber(data.chartMax),
+            colors: ['#2ECC71', '#3498DB', '#E74C3C', '#F39C12', '#9B59B6', '#1ABC9C'],
+            animate: !window.matchMedia('(prefers-reduced-motion: reduce)').matches,
+            ...options
+        };
+
+        this.render();
+        element.resultsChart = this;
+    }
+
+    findTitle() {
+        const caption = this.element.querySelector('caption');
+        if (caption) return caption.textContent.trim();
+
+        const container = this.element.closest('.chart-container, .dashboard-card');
+        const heading = container && container.querySelector('.chart-title, h4');
+        return heading ? heading.textContent.trim() : 'Chart';
+    }
+
+    format(value) {
+        const number = value.toLocaleString('en-IN', {
+            maximumFractionDigits: this.config.decimals
+        });
+        return `${this.config.prefix}${number}${this.config.unit}`;
+    }
+
+    getColor(item, index) {
+        return item.color || this.config.colors[index % this.config.colors.length];
+    }
+
+    // Axis range: data-chart-min/max when given, otherwise zero up to a round number above the data
+    getRange() {
+        const values = this.items.map(item => item.value);
+        let min = this.config.min !== null ? this.config.min : Math.min(0, ...values);
+        let max = this.config.max !== null ? this.config.max : Math.max(...values);
+
+        if (this.config.max === null) {
+            const step = Math.pow(10, Math.floor(Math.log10(Math.abs(max) || 1)));
+            max = Math.ceil(max / step) * step;
+        }
+        if (max <= min) max = min + 1;
+
+        return { min, max };
+    }
+
+    render() {
+        // The page's own table becomes the fallback; JSON data gets a generated one
+        const existingTable = this.element.querySelector('table');
+        const table = existingTable || this.createTable();
+        table.classList.add('chart-data');
+
+        this.element.textContent = '';
+        this.element.classList.add('chart', `chart-${this.type}`);
+        this.element.classList.toggle('chart-animate', this.config.animate);
+
+        const { width, height } = this.config;
+        this.svg = createSvgElement('svg', {
+            class: 'chart-svg',
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'group',
+            'aria-label': this.config.title
+        });
+
+        if (this.items.length === 0) {
+            this.element.appendChild(table);
+            return;
+        }
+
+        this.draw();
+
+        // Purely visual: the focused point's aria-label already says the same thing
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'chart-tooltip';
+        this.tooltip.setAttribute('aria-hidden', 'true');
+        this.tooltip.hidden = true;
+
+        const details = document.createElement('details');
+        details.className = 'chart-table';
+        const summary = document.createElement('summary');
+        summary.textContent = 'View data table';
+        details.append(summary, table);
+
+        this.element.append(this.svg, this.tooltip);
+        if (this.legend) this.element.appendChild(this.legend);
+        this.element.appendChild(details);
+
+        this.bindPoints();
+    }
+
+    createTable() {
+        const table = document.createElement('table');
+        const caption = document.createElement('caption');
+        caption.textContent = this.config.title;
+
+        const head = document.createElement('thead');
+        head.innerHTML = '<tr><th scope="col">Label</th><th scope="col">Value</th></tr>';
+
+        const body = document.createElement('tbody');
+        this.items.forEach(item => {
+            const row = document.createElement('tr');
+            const label = document.createElement('th');
+            label.scope = 'row';
+            label.textContent = item.label;
+            const value = document.createElement('td');
+            value.textContent = this.format(item.value);
+            row.append(label, value);
+            body.appendChild(row);
+        });
+
+        table.append(caption, head, body);
+        return table;
+    }
+
+    // Subclasses call this for every hoverable/focusable mark
+    addPoint(mark, item, index) {
+        mark.classList.add('chart-point');
+        mark.setAttribute('tabindex', index === 0 ? '0' : '-1');
+        mark.setAttribute('role', 'img');
+        mark.setAttribute('aria-label', `${item.label}: ${this.format(item.value)}${item.note ? `. ${item.note}` : ''}`);
+        mark.style.setProperty('--index', index);
+        this.points.push({ mark, item });
+    }
+
+    // One tab stop per chart; arrow keys move between points (roving tabindex)
+    bindPoints() {
+        this.points.forEach(({ mark }, index) => {
+            mark.addEventListener('mouseenter', () => this.showTooltip(index));
+            mark.addEventListener('mouseleave', () => {
+                if (document.activeElement !== mark) this.hideTooltip();
+            });
+            mark.addEventListener('focus', () => {
+                this.setActive(index);
+                this.showTooltip(index);
+            });
+            mark.addEventListener('blur', () => this.hideTooltip());
+        });
+
+        this.svg.addEventListener('keydown', e => {
+            const last = this.points.length - 1;
+            const moves = {
+                ArrowRight: this.activeIndex + 1,
+                ArrowDown: this.activeIndex + 1,
+                ArrowLeft: this.activeIndex - 1,
+                ArrowUp: this.activeIndex - 1,
+                Home: 0,
+                End: last
+            };
+
+            if (e.key === 'Escape') {
+                this.hideTooltip();
+                return;
+            }
+            if (!(e.key in moves)) return;
+
+            e.preventDefault();
+            const index = Math.max(0, Math.min(last, moves[e.key]));
+            this.points[index].mark.focus();
+        });
+    }
+
+    setActive(index) {
+        this.points[this.activeIndex].mark.setAttribute('tabindex', '-1');
+        this.activeIndex = index;
+        this.points[index].mark.setAttribute('tabindex', '0');
+    }
+
+    showTooltip(index) {
+        const { mark, item } = this.points[index];
+        this.tooltip.textContent = `${item.label}: ${this.format(item.value)}`;
+        if (item.note) {
+            const note = document.createElement('span');
+            note.className = 'chart-tooltip-note';
+            note.textContent = item.note;
+            this.tooltip.appendChild(note);
+        }
+
+        const box = this.element.getBoundingClientRect();
+        const rect = mark.getBoundingClientRect();
+        this.tooltip.style.left = `${rect.left - box.left + rect.width / 2}px`;
+        this.tooltip.style.top = `${rect.top - box.top}px`;
+        this.tooltip.hidden = false;
+        this.points.forEach((point, pointIndex) => point.mark.classList.toggle('is-active', pointIndex === index));
+    }
+
+    hideTooltip() {
+        if (!this.tooltip) return;
+        this.tooltip.hidden = true;
+        this.points.forEach(point => point.mark.classList.remove('is-active'));
+    }
+
+    // Called by ChartManager when the chart scrolls into view; CSS does the animating
+    reveal() {
+        this.visible = true;
+        this.element.classList.add('is-visible');
+    }
+
+    // New data redraws the chart; the fallback table is rebuilt to match
+    update(items, options = {}) {
+        this.items = items;
+        Object.assign(this.config, options);
+        this.points = [];
+        this.activeIndex = 0;
+        this.legend = null;
+
+        const table = this.element.querySelector('table');
+        if (table) table.remove();
+        this.render();
+
+        // A chart that is already on screen plays its entrance again
+        if (this.visible && this.config.animate) {
+            this.element.classList.remove('is-visible');
+            void this.element.getBoundingClientRect();
+            this.element.classList.add('is-visible');
+        }
+    }
+
+    // x labels along the bottom, and value gridlines for the cartesian charts
+    drawAxes(range, xPositions) {
+        const { width, height, padding } = this.config;
+        const plotHeight = height - padding.top - padding.bottom;
+        const axes = createSvgElement('g', { class: 'chart-axes', 'aria-hidden': 'true' });
+
+        for (let tick = 0; tick <= 4; tick++) {
+            const value = range.min + (range.max - range.min) * tick / 4;
+            const y = padding.top + plotHeight * (1 - tick / 4);
+            axes.appendChild(createSvgElement('line', {
+                class: 'chart-gridline', x1: padding.left, x2: width - padding.right, y1: y, y2: y
+            }));
+            const label = createSvgElement('text', { class: 'chart-axis-label', x: padding.left - 8, y: y + 4, 'text-anchor': 'end' });
+            label.textContent = this.format(value);
+            axes.appendChild(label);
+        }
+
+        this.items.forEach((item, index) => {
+            const label = createSvgElement('text', {
+                class: 'chart-axis-label', x: xPositions[index], y: height - padding.bottom + 20, 'text-anchor': 'middle'
+            });
+            label.textContent = item.label;
+            axes.appendChild(label);
+        });
+
+        this.svg.appendChild(axes);
+    }
+
+    toY(value, range) {
+        const { height, padding } = this.config;
+        const plotHeight = height - padding.top - padding.bottom;
+        const y = padding.top + plotHeight * (1 - (value - range.min) / (range.max - range.min));
+        return Math.round(y * 10) / 10;
+    }
+}
+
+// ========================
+// 3. CHART TYPES
+// ========================
+
+class LineChart extends ResultsChart {
+    get type() {
+        return 'line';
+    }
+
+    draw() {
+        const { width, padding } = this.config;
+        const range = this.getRange();
+        const plotWidth = width - padding.left - padding.right;
+        const count = this.items.length;
+
+        const xs = this.items.map((item, index) =>
+            padding.left + (count === 1 ? plotWidth / 2 : plotWidth * index / (count - 1)));
+        const ys = this.items.map(item => this.toY(item.value, range));
+
+        this.drawAxes(range, xs);
+
+        // pathLength="1" lets CSS draw the line in without measuring it
+        const path = createSvgElement('path', {
+            class: 'chart-line-path',
+            d: xs.map((x, index) => `${index === 0 ? 'M' : 'L'}${x},${ys[index]}`).join(' '),
+            pathLength: 1,
+            stroke: this.getColor({}, 0)
+        });
+        this.svg.appendChild(path);
+
+        this.items.forEach((item, index) => {
+            const point = createSvgElement('circle', { cx: xs[index], cy: ys[index], r: 6, fill: this.getColor({ color: item.color }, 0) });
+            this.addPoint(point, item, index);
+            this.svg.appendChild(point);
+        });
+    }
+}
+
+class BarChart extends ResultsChart {
+    get type() {
+        return 'bar';
+    }
+
+    draw() {
+        const { width, padding } = this.config;
+        const range = this.getRange();
+        const band = (width - padding.left - padding.right) / this.items.length;
+        const barWidth = Math.min(band * 0.6, 64);
+        const baseline = this.toY(Math.max(range.min, 0), range);
+
+        const xs = this.items.map((item, index) => padding.left + band * index + band / 2);
+        this.drawAxes(range, xs);
+
+        this.items.forEach((item, index) => {
+            const top = this.toY(item.value, range);
+            const bar = createSvgElement('rect', {
+                class: 'chart-bar-rect',
+                x: xs[index] - barWidth / 2,
+                y: Math.min(top, baseline),
+                width: barWidth,
+                height: Math.max(Math.abs(baseline - top), 1),
+                rx: 6,
+                fill: this.getColor(item, index)
+            });
+            this.addPoint(bar, item, index);
+
+            const value = createSvgElement('text', {
+                class: 'chart-value-label', x: xs[index], y: Math.min(top, baseline) - 8, 'text-anchor': 'middle', 'aria-hidden': 'true'
+            });
+            value.textContent = this.format(item.value);
+            value.style.setProperty('--index', index);
+
+            this.svg.append(bar, value);
+        });
+    }
+}
+
+// Parts of a whole by default. With data-chart-max each item gets its own ring,
+// filled to value / max - right for rates that don't add up to 100%
+class DonutChart extends ResultsChart {
+    get type() {
+        return 'donut';
+    }
+
+    draw() {
+        const { width, height } = this.config;
+        const cx = width / 2;
+        const cy = height / 2;
+        const outer = Math.min(width, height) / 2 - 8;
+        const rings = this.config.max !== null;
+
+        const group = createSvgElement('g', { transform: `rotate(-90 ${cx} ${cy})` });
+        const total = this.items.reduce((sum, item) => sum + item.value, 0) || 1;
+        const stroke = rings ? Math.min(24, outer / (this.items.length * 1.6)) : 32;
+        let offset = 0;
+
+        this.items.forEach((item, index) => {
+            const radius = rings ? outer - stroke / 2 - index * (stroke + 6) : outer - stroke / 2;
+            const circumference = 2 * Math.PI * radius;
+            const fraction = rings ? Math.min(item.value / this.config.max, 1) : item.value / total;
+            const length = circumference * fraction;
+
+            if (rings) {
+                group.appendChild(createSvgElement('circle', {
+                    class: 'chart-donut-track', cx, cy, r: radius, 'stroke-width': stroke, fill: 'none'
+                }));
+            }
+
+            const segment = createSvgElement('circle', {
+                class: 'chart-donut-segment',
+                cx,
+                cy,
+                r: radius,
+                fill: 'none',
+                stroke: this.getColor(item, index),
+                'stroke-width': stroke,
+                'stroke-dasharray': `${length} ${circumference}`,
+                'stroke-dashoffset': rings ? 0 : -offset
+            });
+            segment.style.setProperty('--segment-length', length);
+            segment.style.setProperty('--circumference', circumference);
+            this.addPoint(segment, item, index);
+            group.appendChild(segment);
+
+            offset += length;
+        });
+
+        this.svg.appendChild(group);
+
+        if (!rings) {
+            const center = createSvgElement('text', { class: 'chart-donut-total', x: cx, y: cy + 6, 'text-anchor': 'middle', 'aria-hidden': 'true' });
+            center.textContent = this.format(total);
+            this.svg.appendChild(center);
+        }
+
+        this.legend = document.createElement('ul');
+        this.legend.className = 'chart-legend';
+        this.legend.setAttribute('aria-hidden', 'true');
+        this.items.forEach((item, index) => {
+            const entry = document.createElement('li');
+            entry.className = 'legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-color';
+            swatch.style.background = this.getColor(item, index);
+            entry.append(swatch, `${item.label} (${this.format(item.value)})`);
+            this.legend.appendChild(entry);
+        });
+    }
+}
+
+// ========================
+// 4. CHART MANAGER
+// ========================
+
+const ChartManager = {
+    types: {
+        line: LineChart,
+        bar: BarChart,
+        donut: DonutChart
+    },
+    charts: new Set(),
+    observer: null,
+
+    init() {
+        document.querySelectorAll('[data-chart]').forEach(element => this.create(element));
+    },
+
+    create(element, options) {
+        if (element.resultsChart || element.chartPending) return;
+
+        const ChartType = this.types[element.dataset.chart];
+        if (!ChartType) {
+            console.warn(`Unknown chart type "${element.dataset.chart}"`);
+            return;
+        }
+
+        element.chartPending = true;
+        ChartData.read(element)
+            .then(items => {
+                // The page may have been swapped out while the data loaded
+                if (!element.isConnected) return;
+
+                // Data handed over by update() while the chart was loading wins
+                const pending = element.chartUpdate;
+                const chart = pending
+                    ? new ChartType(element, pending.items, { ...options, ...pending.options })
+                    : new ChartType(element, items, options);
+                this.charts.add(chart);
+                this.observe(chart);
+            })
+            .catch(error => {
+                console.warn('Chart could not be drawn:', error);
+            })
+            .finally(() => {
+                element.chartPending = false;
+            });
+    },
+
+    // Animate each chart the first time a third of it is on screen
+    observe(chart) {
+        if (!chart.config.animate || !('IntersectionObserver' in window)) {
+            chart.reveal();
+            return;
+        }
+
+        if (!this.observer) {
+            this.observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.observer.unobserve(entry.target);
+                    if (entry.target.resultsChart) entry.target.resultsChart.reveal();
+                });
+            }, { threshold: 0.3 });
+        }
+        this.observer.observe(chart.element);
+    },
+
+    // Redraws a chart with data from another script (explorer.js), creating it if need be
+    update(element, items, options = {}) {
+        element.chartUpdate = { items, options };
+
+        if (element.resultsChart) {
+            element.resultsChart.update(items, options);
+        } else {
+            this.create(element);
+        }
+    },
+
+    // Forget the charts inside a container that is leaving the page
+    release(container) {
+        this.charts.forEach(chart => {
+            if (!container.contains(chart.element)) return;
+
+            if (this.observer) this.observer.unobserve(chart.element);
+            this.charts.delete(chart);
+            delete chart.element.resultsChart;
+        });
+    },
+
+    register(type, ChartType) {
+        this.types[type] = ChartType;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    ChartManager.init();
+});
+
+// Export for use in other scripts
+window.ResultsChart = ResultsChart;
+window.ChartData = ChartData;
+window.ChartManager = ChartManager;
@@ -0,0 +1,432 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - router.js (Page Router)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Client-side navigation between the site's pages:
+ *              prefetching, <main> swapping with view
+ *              transitions, scroll restoration and page
+ *              lifecycle hooks for setup and teardown
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. PAGE ROUTER
+// ========================
+
+// Every page shares the navbar, footer and scripts; only <main> differs.
+// Anything the router cannot handle falls back to a normal page load.
+const PageRouter = {
+    // Configuration
+    config: {
+        mainSelector: 'main',
+        pages: ['index.html', 'about.html', 'courses.html', 'results.html', 'testimonials.html', 'contact.html'],
+        // Fallback fade when the View Transitions API is unavailable
+        fadeDuration: 200,
+        scrollSaveDelay: 150
+    },
+
+    // State
+    cache: new Map(),
+    loadHooks: [],
+    unloadHooks: [],
+    prefetchObserver: null,
+    currentPath: null,
+    pending: null,
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+
+        const main = document.querySelector(this.config.mainSelector);
+        if (!main || !window.fetch || !window.DOMParser || !history.pushState) return;
+
+        this.initialized = true;
+
+        // We put the scroll position back ourselves once the old page is swapped in
+        history.scrollRestoration = 'manual';
+        history.replaceState({ ...history.state, router: true, scrollY: window.scrollY }, '');
+
+        this.currentPath = location.pathname;
+        this.bindEvents();
+        this.observeLinks(document);
+    },
+
+    // fn(main) runs after a new page's <main> is in place
+    onLoad(fn) {
+        this.loadHooks.push(fn);
+    },
+
+    // fn(main) runs before the current <main> is removed
+    onUnload(fn) {
+        this.unloadHooks.push(fn);
+    },
+
+    runHooks(hooks, main) {
+        hooks.forEach(hook => {
+            try {
+                hook(main);
+            } catch (error) {
+                console.error('Page lifecycle hook failed:', error);
+            }
+        });
+    },
+
+    bindEvents() {
+        // Bubble phase, so smooth scrolling and modal triggers get to claim the click first
+        document.addEventListener('click', e => {
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+            const link = e.target instanceof Element && e.target.closest('a[href]');
+            const url = link && this.getRoutableUrl(link);
+            if (!url) return;
+
+            e.preventDefault();
+            this.navigate(url.href);
+        });
+
+        window.addEventListener('popstate', e => {
+            // Hash-only history entries on the page that is already showing
+            if (location.pathname === this.currentPath) return;
+
+            const state = e.state || {};
+            this.navigate(location.href, { push: false, scrollY: state.scrollY });
+        });
+
+        // Intent to navigate: hovering, focusing or touching a link
+        const prefetchIntent = e => {
+            const link = e.target instanceof Element && e.target.closest('a[href]');
+            const url = link && this.getRoutableUrl(link);
+            if (url) this.prefetch(url);
+        };
+        document.addEventListener('mouseover', prefetchIntent);
+        document.addEventListener('focusin', prefetchIntent);
+        document.addEventListener('touchstart', prefetchIntent, { passive: true });
+
+        window.addEventListener('scroll', debounce(() => this.saveScrollPosition(), this.config.scrollSaveDelay), { passive: true });
+    },
+
+    getPageName(url) {
+        return url.pathname.split('/').pop() || 'index.html';
+    },
+
+    // Same-origin links to one of our pages, not meant for a new tab or a download
+    getRoutableUrl(link) {
+        if ((link.target && link.target !== '_self') || link.hasAttribute('download') ||
+            link.dataset.router === 'off') {
+            return null;
+        }
+
+        let url;
+        try {
+            url = new URL(link.getAttribute('href'), location.href);
+        } catch (error) {
+            return null;
+        }
+
+        if (url.origin !== location.origin || !this.config.pages.includes(this.getPageName(url))) {
+            return null;
+        }
+
+        // In-page anchors are left to smooth scrolling
+        if (url.hash && url.pathname === location.pathname) return null;
+
+        return url;
+    },
+
+    saveScrollPosition() {
+        if (!history.state || !history.state.router) return;
+        history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+    }
+};
+
+// ========================
+// 2. PREFETCHING
+// ========================
+
+// One request per page for the whole visit; failures are forgotten so they can be retried
+PageRouter.prefetch = function(url) {
+    const key = url.pathname;
+
+    if (!this.cache.has(key)) {
+        const request = fetch(key, { credentials: 'same-origin' })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .catch(error => {
+                this.cache.delete(key);
+                throw error;
+            });
+
+        // Prefetches nobody waits for must not surface as unhandled rejections
+        request.catch(() => {});
+        this.cache.set(key, request);
+    }
+
+    return this.cache.get(key);
+};
+
+// Links that scroll into view are fetched when the browser is idle, unless data is scarce
+PageRouter.observeLinks = function(root) {
+    const connection = navigator.connection || {};
+    if (connection.saveData || /2g/.test(connection.effectiveType || '') || !('IntersectionObserver' in window)) {
+        return;
+    }
+
+    if (!this.prefetchObserver) {
+        const whenIdle = callback => (window.requestIdleCallback
+            ? window.requestIdleCallback(callback)
+            : setTimeout(callback, 200));
+
+        this.prefetchObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+
+                this.prefetchObserver.unobserve(entry.target);
+                const url = this.getRoutableUrl(entry.target);
+                if (url) whenIdle(() => this.prefetch(url));
+            });
+        });
+    }
+
+    root.querySelectorAll('a[href]').forEach(link => {
+        if (this.getRoutableUrl(link)) this.prefetchObserver.observe(link);
+    });
+};
+
+// ========================
+// 3. NAVIGATION
+// ========================
+
+PageRouter.navigate = async function(href, options = {}) {
+    const url = new URL(href, location.href);
+    const push = options.push !== false;
+    const navigation = {};
+    this.pending = navigation;
+
+    if (push) this.saveScrollPosition();
+
+    let doc;
+    try {
+        doc = new DOMParser().parseFromString(await this.prefetch(url), 'text/html');
+    } catch (error) {
+        location.assign(url.href);
+        return;
+    }
+
+    // A newer click or back/forward won while this page was loading
+    if (this.pending !== navigation) return;
+
+    const next = doc.querySelector(this.config.mainSelector);
+    if (!next) {
+        location.assign(url.href);
+        return;
+    }
+
+    await this.loadScripts(doc);
+    if (this.pending !== navigation) return;
+
+    if (push && url.href !== location.href) {
+        history.pushState({ router: true, scrollY: 0 }, '', url.href);
+    }
+    this.currentPath = location.pathname;
+
+    await this.transition(() => {
+        this.swap(doc, next);
+        this.restoreScroll(url, options.scrollY);
+    });
+
+    const main = document.querySelector(this.config.mainSelector);
+    this.runHooks(this.loadHooks, main);
+    this.observeLinks(main);
+
+    document.dispatchEvent(new CustomEvent('page:load', {
+        detail: { url: url.href, initial: false }
+    }));
+
+    this.pending = null;
+};
+
+// Scripts the new page needs that this one never loaded, in document order.
+// Scripts inside <main> are page code and run on every swap instead.
+PageRouter.loadScripts = async function(doc) {
+    const loaded = new Set(Array.from(document.scripts, script => script.src).filter(Boolean));
+    const missing = Array.from(doc.querySelectorAll('script[src]'))
+        .filter(script => !script.closest(this.config.mainSelector))
+        .map(script => new URL(script.getAttribute('src'), location.href).href)
+        .filter((src, index, all) => !loaded.has(src) && all.indexOf(src) === index);
+
+    for (const src of missing) {
+        await new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = false;
+            // A missing script must not strand the visitor between pages
+            script.onload = script.onerror = resolve;
+            document.body.appendChild(script);
+        });
+    }
+};
+
+PageRouter.transition = function(update) {
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    if (reducedMotion) {
+        update();
+        return Promise.resolve();
+    }
+
+    if (document.startViewTransition) {
+        return document.startViewTransition(update).updateCallbackDone.catch(() => {});
+    }
+
+    const current = document.querySelector(this.config.mainSelector);
+    current.classList.add('page-leaving');
+
+    return new Promise(resolve => {
+        setTimeout(() => {
+            update();
+            const main = document.querySelector(this.config.mainSelector);
+            main.classList.add('page-entering');
+            setTimeout(() => main.classList.remove('page-entering'), this.config.fadeDuration);
+            resolve();
+        }, this.config.fadeDuration);
+    });
+};
+
+PageRouter.swap = function(doc, next) {
+    const current = document.querySelector(this.config.mainSelector);
+
+    this.runHooks(this.unloadHooks, current);
+
+    document.title = doc.title;
+    const description = doc.querySelector('meta[name="description"]');
+    const currentDescription = document.querySelector('meta[name="description"]');
+    if (description && currentDescription) {
+        currentDescription.setAttribute('content', description.getAttribute('content'));
+    }
+
+    const main = document.adoptNode(next);
+    current.replaceWith(main);
+    this.activateScripts(main);
+
+    // Move focus to the new content so screen readers announce the page change
+    if (!main.hasAttribute('tabindex')) main.setAttribute('tabindex', '-1');
+    main.focus({ preventScroll: true });
+};
+
+// Parsed <script> elements never run; recreating them does
+PageRouter.activateScripts = function(main) {
+    main.querySelectorAll('script').forEach(inert => {
+        const script = document.createElement('script');
+        Array.from(inert.attributes).forEach(attribute => script.setAttribute(attribute.name, attribute.value));
+        script.textContent = inert.textContent;
+        inert.replaceWith(script);
+    });
+};
+
+// Back/forward returns to where the visitor was; new pages open at the top or their #section
+PageRouter.restoreScroll = function(url, scrollY) {
+    if (typeof scrollY === 'number') {
+        window.scrollTo(0, scrollY);
+        return;
+    }
+
+    const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+    if (target) {
+        scrollToElement(target, 'auto');
+    } else {
+        window.scrollTo(0, 0);
+    }
+};
+
+// ========================
+// 4. PAGE LIFECYCLE
+// ========================
+
+// Tear down what belonged to the outgoing page
+PageRouter.onUnload(main => {
+    // Send the outgoing page's metrics before anything of it is torn down
+    if (typeof PerformanceMonitor !== 'undefined') PerformanceMonitor.report();
+
+    if (typeof ModalManager !== 'undefined') ModalManager.closeAll();
+    if (typeof NavigationController !== 'undefined') NavigationController.close();
+    if (typeof teardownApp === 'function') teardownApp();
+    if (typeof AnimationController !== 'undefined') AnimationController.destroy();
+    if (typeof ParticleManager !== 'undefined') ParticleManager.destroyAll();
+    if (typeof WizardManager !== 'undefined') WizardManager.destroyAll();
+    if (typeof CourseFilter !== 'undefined') CourseFilter.destroy();
+    if (typeof VideoManager !== 'undefined') VideoManager.release(main);
+    if (typeof ChartManager !== 'undefined') ChartManager.release(main);
+    if (typeof ResultsExplorer !== 'undefined') ResultsExplorer.destroy();
+    if (typeof RankPredictor !== 'undefined') RankPredictor.destroy();
+    if (typeof TestimonialFeed !== 'undefined') TestimonialFeed.destroy();
+});
+
+// Set up the incoming page the way DOMContentLoaded does on a full load
+PageRouter.onLoad(main => {
+    if (typeof PerformanceMonitor !== 'undefined') PerformanceMonitor.startView('route');
+
+    // Course cards and options first, so forms and ScrollSpy find them
+    if (typeof CourseCatalogue !== 'undefined') CourseCatalogue.render(main);
+
+    if (typeof initializeApp === 'function') initializeApp();
+
+    if (typeof ScrollSpy !== 'undefined') ScrollSpy.refresh();
+    if (typeof NavigationController !== 'undefined') NavigationController.resetTabStop();
+
+    if (typeof AnimationController !== 'undefined') {
+        AnimationController.init(main);
+        AnimationController.initScrollBasedAnimations();
+
+        const staggerElements = main.querySelectorAll('.stagger-animation');
+        if (staggerElements.length > 0) {
+            AnimationController.createStaggeredAnimation(staggerElements);
+        }
+    }
+
+    if (typeof ParticleManager !== 'undefined' && PerformanceManager.isHighPerformance &&
+        !window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+        ParticleManager.init();
+    }
+
+    if (typeof ConsentManager !== 'undefined') {
+        ConsentManager.bindControls();
+        ConsentManager.activateEmbeds();
+    }
+
+    if (typeof VideoManager !== 'undefined') VideoManager.init();
+    if (typeof WizardManager !== 'undefined') WizardManager.init();
+    if (typeof CourseFilter !== 'undefined') CourseFilter.init();
+    if (typeof CourseCompare !== 'undefined') CourseCompare.refresh();
+    if (typeof ChartManager !== 'undefined') ChartManager.init();
+    if (typeof ResultsExplorer !== 'undefined') ResultsExplorer.init();
+    if (typeof RankPredictor !== 'undefined') RankPredictor.init();
+    if (typeof TestimonialFeed !== 'undefined') TestimonialFeed.init();
+    if (typeof SubmissionOutbox !== 'undefined') SubmissionOutbox.init();
+
+    // Attribution and consent enrichers, in case submission.js only arrived with this page
+    if (typeof ConsentManager !== 'undefined') ConsentManager.attachToSubmissions();
+    if (typeof Analytics !== 'undefined') Analytics.attachToSubmissions();
+
+    if (typeof Analytics !== 'undefined') Analytics.trackPageView();
+
+    if (typeof ErrorReporter !== 'undefined') {
+        ErrorReporter.addBreadcrumb('navigation', 'route', { to: location.pathname });
+    }
+});
+
+// Inline page scripts listen for page:load, which also covers the first load
+document.addEventListener('DOMContentLoaded', () => {
+    PageRouter.init();
+
+    document.dispatchEvent(new CustomEvent('page:load', {
+        detail: { url: location.href, initial: true }
+    }));
+});
+
+// Export for use in other scripts
+window.PageRouter = PageRouter;
@@ -0,0 +1,130 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - scheduler.js (Scroll Scheduler)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: One scroll/resize listener for the whole site.
+ *              Subscribers run once per animation frame with
+ *              all DOM reads batched before all writes
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. SCROLL SCHEDULER
+// ========================
+
+// A subscriber is { id, selector?, read?(frame, elements), write(frame, elements, measured) }.
+// Every read runs before any write, so layout is measured at most once per frame.
+const ScrollScheduler = {
+    // State
+    subscribers: new Map(),
+    elementCache: new Map(),
+    mutationObserver: null,
+    frameRequested: false,
+    pendingType: null,
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        window.addEventListener('scroll', () => this.schedule('scroll'), { passive: true });
+        window.addEventListener('resize', () => this.schedule('resize'), { passive: true });
+    },
+
+    subscribe(subscriber) {
+        if (!subscriber || !subscriber.id || typeof subscriber.write !== 'function') {
+            throw new TypeError('Scroll subscribers need an id and a write(frame, elements, measured) function');
+        }
+
+        this.init();
+        this.subscribers.set(subscriber.id, subscriber);
+
+        // Bring the new subscriber in line with the current scroll position
+        this.schedule('init');
+
+        return () => this.unsubscribe(subscriber.id);
+    },
+
+    unsubscribe(id) {
+        this.subscribers.delete(id);
+    },
+
+    // Resize wins over scroll so subscribers know to re-measure
+    schedule(type) {
+        if (this.pendingType !== 'resize') this.pendingType = type;
+        if (this.frameRequested) return;
+
+        this.frameRequested = true;
+        requestAnimationFrame(() => this.run());
+    },
+
+    run() {
+        this.frameRequested = false;
+
+        // Read phase: the shared measurements first, then each subscriber's own
+        const frame = {
+            type: this.pendingType,
+            scrollY: window.scrollY,
+            viewportHeight: window.innerHeight,
+            scrollHeight: document.documentElement.scrollHeight
+        };
+        this.pendingType = null;
+
+        const jobs = [];
+        this.subscribers.forEach(subscriber => {
+            const elements = subscriber.selector ? this.query(subscriber.selector) : [];
+            if (subscriber.selector && elements.length === 0) return;
+
+            const measured = subscriber.read ? subscriber.read(frame, elements) : undefined;
+            jobs.push({ subscriber, elements, measured });
+        });
+
+        // Write phase
+        jobs.forEach(({ subscriber, elements, measured }) => {
+            try {
+                subscriber.write(frame, elements, measured);
+            } catch (error) {
+                console.error(`Scroll subscriber "${subscriber.id}" failed:`, error);
+            }
+        });
+    }
+};
+
+// ========================
+// 2. ELEMENT CACHE
+// ========================
+
+// Queries are cached until the DOM changes, instead of running on every scroll
+ScrollScheduler.query = function(selector) {
+    if (!this.elementCache.has(selector)) {
+        this.elementCache.set(selector, Array.from(document.querySelectorAll(selector)));
+        this.observeMutations();
+    }
+    return this.elementCache.get(selector);
+};
+
+ScrollScheduler.observeMutations = function() {
+    if (this.mutationObserver || !('MutationObserver' in window)) return;
+
+    // Subscriber selectors name classes written in the markup, so class toggles (hover,
+    // AOS, .counting) are not watched. Text updates such as counters ticking add and
+    // remove text nodes only, and don't change what a selector matches either
+    const isElement = node => node.nodeType === Node.ELEMENT_NODE;
+
+    this.mutationObserver = new MutationObserver(mutations => {
+        const structural = mutations.some(mutation =>
+            Array.from(mutation.addedNodes).some(isElement) || Array.from(mutation.removedNodes).some(isElement));
+        if (!structural) return;
+
+        this.elementCache.clear();
+        this.schedule('mutation');
+    });
+
+    this.mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+};
+
+// Export for use in other scripts
+window.ScrollScheduler = ScrollScheduler;
@@ -0,0 +1,162 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - scrollspy.js (Scroll Spy)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Marks the current page and the section in view
+ *              in the navbar using IntersectionObserver, with
+ *              exact hash matching and aria-current
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. SCROLL SPY
+// ========================
+
+const ScrollSpy = {
+    // Configuration
+    config: {
+        navbarSelector: '.navbar',
+        linkSelector: '.navbar .nav-link, .navbar .submenu-link',
+        // Breathing room below the fixed navbar, in pixels
+        extraOffset: 16,
+        activeClass: 'active'
+    },
+
+    // State
+    observer: null,
+    sectionLinks: new Map(),
+    visible: new Set(),
+    activeSection: null,
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        this.refresh();
+
+        // The navbar shrinks when scrolled and wraps on small screens
+        window.addEventListener('resize', debounce(() => this.observe(), 150));
+    },
+
+    // Re-read links and sections, e.g. after PageRouter (router.js) swaps the page
+    refresh() {
+        this.activeSection = null;
+        this.markCurrentPage();
+        this.collectSections();
+        this.observe();
+    },
+
+    // Height of the fixed navbar plus breathing room, for anything that scrolls to a section
+    getOffset() {
+        const navbar = document.querySelector(this.config.navbarSelector);
+        return (navbar ? navbar.getBoundingClientRect().height : 0) + this.config.extraOffset;
+    },
+
+    normalizePath(pathname) {
+        return pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+    },
+
+    parseLink(link) {
+        try {
+            return new URL(link.getAttribute('href'), location.href);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    isCurrentPage(url) {
+        return url.origin === location.origin &&
+            this.normalizePath(url.pathname) === this.normalizePath(location.pathname);
+    },
+
+    // Page links (no hash) are active when they point at this document;
+    // section links start inactive until a section comes into view
+    markCurrentPage() {
+        document.querySelectorAll(this.config.linkSelector).forEach(link => {
+            const url = this.parseLink(link);
+            if (!url) return;
+
+            const current = !url.hash && this.isCurrentPage(url);
+            link.classList.toggle(this.config.activeClass, current);
+
+            if (current) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    },
+
+    // Only sections some nav link points at, matched on the exact id
+    collectSections() {
+        this.sectionLinks.clear();
+
+        document.querySelectorAll(this.config.linkSelector).forEach(link => {
+            const url = this.parseLink(link);
+            if (!url || !url.hash || !this.isCurrentPage(url)) return;
+
+            const section = document.getElementById(decodeURIComponent(url.hash.slice(1)));
+            if (!section) return;
+
+            if (!this.sectionLinks.has(section)) this.sectionLinks.set(section, []);
+            this.sectionLinks.get(section).push(link);
+        });
+    },
+
+    observe() {
+        if (this.observer) this.observer.disconnect();
+        if (this.sectionLinks.size === 0 || !('IntersectionObserver' in window)) return;
+
+        this.visible.clear();
+
+        // Sections count as "in view" once they reach the bottom edge of the navbar
+        this.observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.visible.add(entry.target);
+                } else {
+                    this.visible.delete(entry.target);
+                }
+            });
+            this.update();
+        }, {
+            rootMargin: `-${Math.round(this.getOffset())}px 0px 0px 0px`,
+            threshold: 0
+        });
+
+        this.sectionLinks.forEach((links, section) => this.observer.observe(section));
+    },
+
+    // The first visible section in document order wins
+    update() {
+        const sections = Array.from(this.sectionLinks.keys());
+        const active = sections.find(section => this.visible.has(section)) || null;
+
+        if (active === this.activeSection) return;
+        this.activeSection = active;
+
+        this.sectionLinks.forEach((links, section) => {
+            links.forEach(link => {
+                const isActive = section === active;
+                link.classList.toggle(this.config.activeClass, isActive);
+
+                if (isActive) {
+                    link.setAttribute('aria-current', 'location');
+                } else {
+                    link.removeAttribute('aria-current');
+                }
+            });
+        });
+
+        window.dispatchEvent(new CustomEvent('scrollspy:change', {
+            detail: { section: active ? active.id : null }
+        }));
+    }
+};
+
+// Export for use in other scripts
+window.ScrollSpy = ScrollSpy;
@@ -0,0 +1,540 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - submission.js (Form Submission Layer)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Sends enquiry, demo and review forms through
+ *              pluggable transports (JSON, multipart, mock)
+ *              with timeouts, retries, field errors and an
+ *              offline outbox that replays when back online
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. SUBMISSION ERROR
+// ========================
+
+class SubmissionError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.type = details.type || 'network'; // network | timeout | http | validation
+        this.status = details.status || 0;
+        this.fieldErrors = details.fieldErrors || {};
+        this.body = details.body || null;
+    }
+
+    get isRetryable() {
+        if (this.type === 'timeout' || this.type === 'network') return true;
+        return this.type === 'http' && (this.status >= 500 || this.status === 429);
+    }
+}
+
+// ========================
+// 2. TRANSPORTS
+// ========================
+
+// A transport takes a request ({ endpoint, data, headers, signal })
+// and resolves with { status, body }. Rejections are treated as network errors.
+
+async function readResponse(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    let body = null;
+
+    if (contentType.includes('application/json')) {
+        body = await response.json().catch(() => null);
+    } else {
+        body = await response.text().catch(() => null);
+    }
+
+    return { status: response.status, body };
+}
+
+const jsonTransport = {
+    send(request) {
+        return fetch(request.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                ...request.headers
+            },
+            body: JSON.stringify(request.data),
+            signal: request.signal
+        }).then(readResponse);
+    }
+};
+
+const multipartTransport = {
+    send(request) {
+        const formData = new FormData();
+
+        Object.entries(request.data).forEach(([name, value]) => {
+            const values = Array.isArray(value) ? value : [value];
+            values.forEach(item => formData.append(name, item));
+        });
+
+        // Let the browser set the multipart boundary itself
+        return fetch(request.endpoint, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                ...request.headers
+            },
+            body: formData,
+            signal: request.signal
+        }).then(readResponse);
+    }
+};
+
+function createMockTransport(options = {}) {
+    const settings = {
+        delay: 300,
+        status: 200,
+        body: { ok: true },
+        fail: false,
+        ...options
+    };
+
+    return {
+        requests: [],
+
+        send(request) {
+            this.requests.push(request);
+
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    if (settings.fail) {
+                        reject(new TypeError('Mock network failure'));
+                        return;
+                    }
+
+                    // `respond` lets tests vary the reply per request
+                    const reply = typeof settings.respond === 'function'
+                        ? settings.respond(request, this.requests.length)
+                        : { status: settings.status, body: settings.body };
+                    resolve(reply);
+                }, settings.delay);
+
+                if (request.signal) {
+                    request.signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(new DOMException('Aborted', 'AbortError'));
+                    });
+                }
+            });
+        }
+    };
+}
+
+// ========================
+// 3. SUBMISSION MANAGER
+// ========================
+
+const SubmissionManager = {
+    // Configuration
+    config: {
+        endpoint: '/api/submissions',
+        endpoints: {
+            contactForm: '/api/enquiries',
+            demoForm: '/api/demo-bookings',
+            reviewForm: '/api/reviews'
+        },
+        transport: 'json',
+        timeout: 10000,
+        retries: 2,
+        retryDelay: 800,
+        backoffFactor: 2,
+        queueOffline: true
+    },
+
+    // State
+    transports: new Map([
+        ['json', jsonTransport],
+        ['multipart', multipartTransport],
+        ['mock', createMockTransport()]
+    ]),
+    enrichers: [],
+
+    registerTransport(name, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new TypeError(`Transport "${name}" must implement send(request)`);
+        }
+        this.transports.set(name, transport);
+    },
+
+    // Enrichers receive (data, form) and return the payload to send, e.g. to add attribution
+    addEnricher(enricher) {
+        this.enrichers.push(enricher);
+    },
+
+    enrich(data, form) {
+        return this.enrichers.reduce((payload, enricher) => enricher(payload, form) || payload, data);
+    },
+
+    getTransport(name) {
+        const transport = this.transports.get(name);
+        if (!transport) {
+            throw new Error(`Unknown submission transport: ${name}`);
+        }
+        return transport;
+    },
+
+    // Resolve per-form settings; data attributes on the form win over config
+    getOptionsForForm(form, overrides = {}) {
+        const dataset = form.dataset || {};
+
+        return {
+            endpoint: dataset.endpoint || this.config.endpoints[form.id] || this.config.endpoint,
+            transport: dataset.transport || this.config.transport,
+            timeout: parseInt(dataset.timeout) || this.config.timeout,
+            retries: dataset.retries !== undefined ? parseInt(dataset.retries) : this.config.retries,
+            retryDelay: this.config.retryDelay,
+            backoffFactor: this.config.backoffFactor,
+            queueOffline: this.config.queueOffline && dataset.outbox !== 'false',
+            headers: {},
+            ...overrides
+        };
+    },
+
+    // The antispam honeypot (antispam.js) has done its job by now and isn't sent
+    serialize(form) {
+        const data = {};
+        const honeypot = typeof FormGuard !== 'undefined' ? FormGuard.config.honeypotName : null;
+
+        new FormData(form).forEach((value, name) => {
+            if (name === honeypot) return;
+            if (Object.prototype.hasOwnProperty.call(data, name)) {
+                data[name] = [].concat(data[name], value);
+            } else {
+                data[name] = value;
+            }
+        });
+
+        return data;
+    },
+
+    // Resolves with { status, body } once delivered, or { queued: true, id }
+    // when the submission was parked in the outbox to be replayed later
+    async submit(form, overrides = {}) {
+        const options = this.getOptionsForForm(form, overrides);
+        const request = {
+            formId: form.id,
+            endpoint: options.endpoint,
+            transport: options.transport,
+            timeout: options.timeout,
+            headers: {
+                'Idempotency-Key': options.idempotencyKey || createIdempotencyKey(),
+                ...options.headers
+            },
+            data: this.enrich(options.data || this.serialize(form), form)
+        };
+        const canQueue = options.queueOffline && SubmissionOutbox.isAvailable();
+
+        if (canQueue && navigator.onLine === false) {
+            return SubmissionOutbox.enqueue(request);
+        }
+
+        try {
+            return await this.deliver(request, options);
+        } catch (error) {
+            if (canQueue && error.isRetryable) {
+                return SubmissionOutbox.enqueue(request, error);
+            }
+            throw error;
+        }
+    },
+
+    async deliver(request, policy = this.config) {
+        const transport = this.getTransport(request.transport);
+        let attempt = 0;
+
+        while (true) {
+            try {
+                return await this.attempt(transport, request, request.timeout || this.config.timeout);
+            } catch (error) {
+                if (!error.isRetryable || attempt >= policy.retries) {
+                    throw error;
+                }
+
+                const delay = policy.retryDelay * Math.pow(policy.backoffFactor, attempt);
+                attempt++;
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    },
+
+    async attempt(transport, request, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        let result;
+        try {
+            result = await transport.send({ ...request, signal: controller.signal });
+        } catch (error) {
+            if (error && error.name === 'AbortError') {
+                throw new SubmissionError('The server took too long to respond.', { type: 'timeout' });
+            }
+            throw new SubmissionError('Unable to reach the server.', { type: 'network' });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        return this.interpret(result);
+    },
+
+    interpret(result) {
+        const { status, body } = result;
+
+        if (status >= 200 && status < 300) {
+            return result;
+        }
+
+        const fieldErrors = body && typeof body === 'object' ? (body.errors || body.fieldErrors || {}) : {};
+        const message = (body && body.message) || `Request failed with status ${status}.`;
+
+        if ((status === 400 || status === 422) && Object.keys(fieldErrors).length > 0) {
+            throw new SubmissionError(message, { type: 'validation', status, fieldErrors, body });
+        }
+
+        throw new SubmissionError(message, { type: 'http', status, body });
+    },
+
+    createMockTransport
+};
+
+// ========================
+// 4. OUTBOX STORAGE
+// ========================
+
+// Both stores expose getAll(), put(record) and delete(id) returning promises
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function createIndexedDBStore(dbName, storeName) {
+    let dbPromise = null;
+
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Outbox database is blocked'));
+            });
+        }
+        return dbPromise;
+    };
+
+    const withStore = (mode, callback) => open().then(db => {
+        const transaction = db.transaction(storeName, mode);
+        return promisifyRequest(callback(transaction.objectStore(storeName)));
+    });
+
+    return {
+        name: 'indexeddb',
+        open,
+        getAll: () => withStore('readonly', store => store.getAll()),
+        put: record => withStore('readwrite', store => store.put(record)),
+        delete: id => withStore('readwrite', store => store.delete(id))
+    };
+}
+
+function createLocalStorageStore(storageKey) {
+    const read = () => {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    };
+
+    const write = records => localStorage.setItem(storageKey, JSON.stringify(records));
+
+    return {
+        name: 'localstorage',
+        open: () => Promise.resolve(),
+        getAll: () => Promise.resolve(read()),
+        put(record) {
+            const records = read().filter(item => item.id !== record.id);
+            records.push(record);
+            write(records);
+            return Promise.resolve(record.id);
+        },
+        delete(id) {
+            write(read().filter(item => item.id !== id));
+            return Promise.resolve();
+        }
+    };
+}
+
+function isLocalStorageAvailable() {
+    try {
+        const probe = '__roots_probe__';
+        localStorage.setItem(probe, probe);
+        localStorage.removeItem(probe);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function createIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// ========================
+// 5. OFFLINE OUTBOX
+// ========================
+
+const SubmissionOutbox = {
+    // Configuration
+    config: {
+        dbName: 'roots-academy',
+        storeName: 'outbox',
+        storageKey: 'rootsAcademy.outbox',
+        retryInterval: 60000,
+        maxAttempts: 20
+    },
+
+    // State
+    storePromise: null,
+    flushPromise: null,
+    retryTimer: null,
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        window.addEventListener('online', () => this.flush());
+
+        if (navigator.onLine !== false) {
+            this.flush();
+        }
+    },
+
+    isAvailable() {
+        return 'indexedDB' in window || isLocalStorageAvailable();
+    },
+
+    // Prefer IndexedDB, falling back to localStorage (e.g. private browsing)
+    getStore() {
+        if (!this.storePromise) {
+            const fallback = () => createLocalStorageStore(this.config.storageKey);
+
+            if ('indexedDB' in window) {
+                const store = createIndexedDBStore(this.config.dbName, this.config.storeName);
+                this.storePromise = store.open().then(() => store, fallback);
+            } else {
+                this.storePromise = Promise.resolve(fallback());
+            }
+        }
+        return this.storePromise;
+    },
+
+    async enqueue(request, error = null) {
+        const store = await this.getStore();
+        const records = await store.getAll();
+        const fingerprint = JSON.stringify([request.formId, request.endpoint, request.data]);
+
+        // The same form content queued twice is one submission, not two
+        const existing = records.find(record => record.fingerprint === fingerprint);
+        if (existing) {
+            return { queued: true, id: existing.id };
+        }
+
+        const record = {
+            id: request.headers['Idempotency-Key'],
+            fingerprint,
+            request,
+            createdAt: Date.now(),
+            attempts: error ? 1 : 0,
+            lastError: error ? error.message : null
+        };
+
+        await store.put(record);
+        this.notify('outbox:queued', { record });
+        this.scheduleRetry();
+
+        return { queued: true, id: record.id };
+    },
+
+    async count() {
+        const store = await this.getStore();
+        const records = await store.getAll();
+        return records.length;
+    },
+
+    // Replays queued submissions in order; a single flush runs at a time so
+    // the online event and the retry timer cannot send the same record twice
+    flush() {
+        if (this.flushPromise) return this.flushPromise;
+
+        this.flushPromise = this.replay().finally(() => {
+            this.flushPromise = null;
+        });
+        return this.flushPromise;
+    },
+
+    async replay() {
+        const store = await this.getStore();
+        const records = (await store.getAll()).sort((a, b) => a.createdAt - b.createdAt);
+
+        for (const record of records) {
+            if (navigator.onLine === false) break;
+
+            try {
+                const result = await SubmissionManager.deliver(record.request, { ...SubmissionManager.config, retries: 0 });
+                await store.delete(record.id);
+                this.notify('outbox:delivered', { record, result });
+            } catch (error) {
+                if (error.isRetryable && record.attempts + 1 < this.config.maxAttempts) {
+                    record.attempts++;
+                    record.lastError = error.message;
+                    await store.put(record);
+
+                    // Endpoint is still unreachable - try the rest later
+                    this.scheduleRetry();
+                    break;
+                }
+
+                await store.delete(record.id);
+                this.notify('outbox:rejected', { record, error });
+            }
+        }
+    },
+
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => {
+            if (navigator.onLine !== false) this.flush();
+        }, this.config.retryInterval);
+    },
+
+    notify(type, detail) {
+        window.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    SubmissionOutbox.init();
+});
+
+// Export for use in other scripts
+window.SubmissionError = SubmissionError;
+window.SubmissionManager = SubmissionManager;
+window.SubmissionOutbox = SubmissionOutbox;
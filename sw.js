@@ -0,0 +1,160 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - sw.js (Service Worker)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Offline support: precaches the site's pages,
+ *              styles and scripts, serves them stale-while-
+ *              revalidate and falls back to offline.html
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. CONFIGURATION
+// ========================
+
+// Bump on every deploy: the new worker precaches fresh copies and,
+// once activated, deletes every older roots-academy-* cache
+const CACHE_VERSION = '2025.10';
+const CACHE_PREFIX = 'roots-academy-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const OFFLINE_PAGE = 'offline.html';
+
+const PRECACHE_URLS = [
+    'index.html',
+    'about.html',
+    'courses.html',
+    'results.html',
+    'testimonials.html',
+    'contact.html',
+    OFFLINE_PAGE,
+    'manifest.webmanifest',
+    'styles.css',
+    'animations.css',
+    'pages.css',
+    'errors.js',
+    'consent.js',
+    'analytics.js',
+    'performance.js',
+    'modals.js',
+    'navigation.js',
+    'scrollspy.js',
+    'scheduler.js',
+    'video.js',
+    'compare.js',
+    'counter.js',
+    'catalogue.js',
+    'main.js',
+    'animations.js',
+    'particles.js',
+    'validation.js',
+    'antispam.js',
+    'submission.js',
+    'wizard.js',
+    'filters.js',
+    'results.js',
+    'explorer.js',
+    'predictor.js',
+    'results.json',
+    'testimonials.js',
+    'testimonials.json',
+    'router.js',
+    'pwa.js'
+];
+
+// Only our own pages, styles, scripts and data files; API calls and third-party files go straight to the network
+const CACHEABLE_EXTENSIONS = /\.(html|css|js|json|webmanifest)$/;
+
+// ========================
+// 2. LIFECYCLE
+// ========================
+
+self.addEventListener('install', event => {
+    // Bypass the HTTP cache so a new version never precaches old files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+    // No skipWaiting() here: open tabs keep the old version until the visitor accepts the update (pwa.js)
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ========================
+// 3. FETCH STRATEGIES
+// ========================
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(event));
+    } else if (CACHEABLE_EXTENSIONS.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+// "/" and "/courses.html?utm_source=..." are the same cached page
+function getCacheKey(request) {
+    const url = new URL(request.url);
+    if (url.pathname.endsWith('/')) url.pathname += 'index.html';
+    url.search = '';
+    url.hash = '';
+    return url.href;
+}
+
+// Answer from the cache straight away and refresh it in the background
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const key = getCacheKey(request);
+    const cached = await cache.match(key);
+
+    const network = fetch(request).then(response => {
+        if (response.ok && response.type === 'basic') {
+            return cache.put(key, response.clone()).then(() => response);
+        }
+        return response;
+    });
+
+    // Keep the worker alive until the cache is updated, even when the cached copy was used
+    event.waitUntil(network.then(() => {}, () => {}));
+
+    return cached || network;
+}
+
+async function handleNavigation(event) {
+    const url = new URL(event.request.url);
+
+    if (!CACHEABLE_EXTENSIONS.test(url.pathname) && !url.pathname.endsWith('/')) {
+        return fetch(event.request);
+    }
+
+    try {
+        return await staleWhileRevalidate(event, event.request);
+    } catch (error) {
+        // Offline and never cached: a page that still shows how to reach us
+        const cache = await caches.open(CACHE_NAME);
+        return (await cache.match(new URL(OFFLINE_PAGE, self.registration.scope).href)) ||
+            new Response('You are offline.', { status: 503, headers: { 'Content-Type': 'text/plain' } });
+    }
+}
@@ -0,0 +1,608 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - testimonials.js (Testimonial Feed)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Loads testimonials.json and renders the
+ *              success stories a page at a time, with search,
+ *              course/year/rating filters, sorting and a link
+ *              to every story, all kept in the URL
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. TESTIMONIAL DATA
+// ========================
+
+// Publishing a reviewed story means adding it to testimonials.json; the page never lists them itself
+const TestimonialData = {
+    url: 'testimonials.json',
+    data: null,
+    request: null,
+
+    load() {
+        if (!this.request) {
+            this.request = fetch(this.url, { headers: { 'Accept': 'application/json' } })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Testimonials request failed: ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.data = data;
+                    return this;
+                })
+                .catch(error => {
+                    // Let the next page visit try again
+                    this.request = null;
+                    throw error;
+                });
+        }
+        return this.request;
+    },
+
+    get(id) {
+        return this.data.testimonials.find(testimonial => testimonial.id === id) || null;
+    },
+
+    getCourses() {
+        return this.data.courses;
+    },
+
+    getCourse(id) {
+        return this.data.courses.find(course => course.id === id) || null;
+    },
+
+    // Newest first
+    getYears() {
+        return [...new Set(this.data.testimonials.map(testimonial => testimonial.year))].sort((a, b) => b - a);
+    },
+
+    // Parent and online stories carry their own tag; the rest are tagged with their course
+    getTag(testimonial) {
+        const tag = testimonial.tag && this.data.tags[testimonial.tag];
+        if (tag) return tag;
+
+        const course = this.getCourse(testimonial.course);
+        return course ? { label: course.tag, tagClass: course.tagClass } : null;
+    },
+
+    // Every word has to appear somewhere in the story, the name, the result or the tags
+    matches(testimonial, q) {
+        const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return true;
+
+        const course = this.getCourse(testimonial.course);
+        const tag = this.getTag(testimonial);
+        const text = [
+            testimonial.name,
+            testimonial.achievement,
+            testimonial.text,
+            testimonial.year,
+            course ? course.name : '',
+            tag ? tag.label : ''
+        ].join(' ').toLowerCase();
+
+        return words.every(word => text.includes(word));
+    },
+
+    // Matching stories in the order they're shown: newest first, or best rated first
+    filter({ q = '', category = '', year = null, rating = null, sort = 'newest' } = {}) {
+        return this.data.testimonials
+            .filter(testimonial => !category || testimonial.course === category)
+            .filter(testimonial => !year || testimonial.year === year)
+            .filter(testimonial => !rating || testimonial.rating >= rating)
+            .filter(testimonial => this.matches(testimonial, q))
+            .sort((a, b) => (sort === 'rating' ? b.rating - a.rating : 0) || b.date.localeCompare(a.date));
+    }
+};
+
+// ========================
+// 2. TESTIMONIAL FEED
+// ========================
+
+// URL format: ?q=physics&category=iit-jee&year=2024&rating=4&sort=rating&page=2
+// A shared story: ?story=aditya-raj-2024
+const TestimonialFeed = {
+    // Configuration
+    config: {
+        rootSelector: '[data-testimonial-feed]',
+        panelSelector: '[data-testimonial-filter]',
+        listSelector: '[data-testimonial-list]',
+        countSelector: '[data-testimonial-count]',
+        statusSelector: '[data-testimonial-status]',
+        emptySelector: '[data-testimonial-empty]',
+        moreSelector: '[data-testimonial-more]',
+        resetSelector: '[data-testimonial-reset]',
+        categorySelector: '.category-btn',
+        page: 'testimonials.html',
+        pageSize: 6,
+        searchDelay: 250,
+        // "4" means four stars and up
+        ratings: [5, 4, 3],
+        sorts: [
+            { value: 'newest', label: 'Newest first' },
+            { value: 'rating', label: 'Highest rated' }
+        ],
+        messages: {
+            searchLabel: 'Search stories',
+            searchPlaceholder: 'Search by name, college or subject',
+            course: 'Course',
+            anyCourse: 'All courses',
+            year: 'Year',
+            anyYear: 'Any year',
+            rating: 'Rating',
+            anyRating: 'Any rating',
+            ratingOption: '{stars} stars & up',
+            topRating: '{stars} stars',
+            sort: 'Sort by',
+            clear: 'Clear filters',
+            stars: '{rating} out of 5 stars',
+            share: 'Copy link to {name}\'s story',
+            countAll: 'Showing {shown} of {total} stories',
+            count: 'Showing {shown} of {total} matching stories',
+            copied: 'Link copied - paste it anywhere to share {name}\'s story',
+            copyFailed: 'Copy this link to share: {url}',
+            loadFailed: 'We couldn\'t load the success stories. Please check your connection and refresh the page.'
+        }
+    },
+
+    // State
+    root: null,
+    panel: null,
+    state: null,
+    searchTimer: null,
+
+    init() {
+        const root = document.querySelector(this.config.rootSelector);
+        if (!root || root === this.root) return;
+
+        this.root = root;
+
+        TestimonialData.load()
+            .then(() => {
+                // PageRouter may have moved on while the data loaded
+                if (this.root !== root) return;
+
+                this.panel = root.querySelector(this.config.panelSelector);
+                // Written straight back, so a link whose filters hid its story shows what's really on screen
+                this.state = this.readUrl();
+                this.writeUrl();
+                this.renderControls();
+                this.syncControls();
+                this.bindEvents();
+                this.render();
+                this.revealStory();
+            })
+            .catch(error => {
+                if (this.root !== root) return;
+                console.warn('Testimonials could not be loaded:', error);
+                this.showError();
+            });
+    },
+
+    // PageRouter calls this before swapping the page out, so a pending search can't write another page's URL
+    destroy() {
+        clearTimeout(this.searchTimer);
+        this.root = null;
+        this.panel = null;
+        this.state = null;
+    },
+
+    bindEvents() {
+        if (this.panel) {
+            this.panel.addEventListener('input', e => {
+                if (e.target.name !== 'q') return;
+
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.select({ q: e.target.value.trim() }), this.config.searchDelay);
+            });
+
+            // Enter in the search box applies straight away
+            this.panel.addEventListener('keydown', e => {
+                if (e.key !== 'Enter' || e.target.name !== 'q') return;
+                e.preventDefault();
+                clearTimeout(this.searchTimer);
+                this.select({ q: e.target.value.trim() });
+            });
+
+            this.panel.addEventListener('change', e => {
+                const { name, value } = e.target;
+                if (name === 'category') this.select({ category: value });
+                if (name === 'year') this.select({ year: value ? Number(value) : null });
+                if (name === 'rating') this.select({ rating: value ? Number(value) : null });
+                if (name === 'sort') this.select({ sort: value });
+            });
+        }
+
+        // The hero buttons are the same course filter as the select
+        document.querySelectorAll(this.config.categorySelector).forEach(button => {
+            button.addEventListener('click', () => {
+                const category = button.dataset.category;
+                this.select({ category: TestimonialData.getCourse(category) ? category : '' });
+            });
+        });
+
+        this.root.addEventListener('click', e => {
+            const share = e.target.closest('[data-testimonial-share]');
+            const more = e.target.closest(this.config.moreSelector);
+            const reset = e.target.closest(this.config.resetSelector);
+
+            if (share) {
+                this.copyLink(share.dataset.testimonialShare);
+            } else if (more) {
+                this.loadMore();
+            } else if (reset) {
+                this.clear();
+            }
+        });
+    },
+
+    // Any new filter starts again from the first page and lets go of a shared story
+    select(changes) {
+        Object.assign(this.state, changes, { page: 1, story: '' });
+        this.syncControls();
+        this.update();
+    },
+
+    clear() {
+        clearTimeout(this.searchTimer);
+        this.select(this.createEmptyState());
+
+        const search = this.panel && this.panel.querySelector('[name="q"]');
+        if (search) search.focus();
+    },
+
+    update() {
+        this.writeUrl();
+        const count = this.render();
+
+        this.root.dispatchEvent(new CustomEvent('testimonials:change', {
+            detail: { filters: this.getActiveFilters(), count }
+        }));
+    },
+
+    getActiveFilters() {
+        const active = {};
+        ['q', 'category', 'year', 'rating'].forEach(key => {
+            if (this.state[key]) active[key] = this.state[key];
+        });
+        if (this.state.sort !== 'newest') active.sort = this.state.sort;
+        return active;
+    },
+
+    format(key, values) {
+        return Object.entries(values).reduce(
+            (text, [name, value]) => text.replace(`{${name}}`, value),
+            this.config.messages[key]
+        );
+    }
+};
+
+// ========================
+// 3. URL STATE
+// ========================
+
+TestimonialFeed.createEmptyState = function() {
+    return { q: '', category: '', year: null, rating: null, sort: 'newest' };
+};
+
+// Values that aren't in the data are dropped, so an old or mistyped link still shows stories
+TestimonialFeed.readUrl = function() {
+    const params = new URLSearchParams(location.search);
+    const year = Number(params.get('year'));
+    const rating = Number(params.get('rating'));
+    const sort = params.get('sort');
+    const category = params.get('category') || '';
+
+    const state = {
+        q: (params.get('q') || '').trim(),
+        category: TestimonialData.getCourse(category) ? category : '',
+        year: TestimonialData.getYears().includes(year) ? year : null,
+        rating: this.config.ratings.includes(rating) ? rating : null,
+        sort: this.config.sorts.some(option => option.value === sort) ? sort : 'newest',
+        page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+        story: ''
+    };
+
+    // A shared story is always shown: if the rest of the link filters it out, the filters go
+    const story = TestimonialData.get(params.get('story'));
+    if (story) {
+        state.story = story.id;
+
+        let matches = TestimonialData.filter(state);
+        if (!matches.includes(story)) {
+            Object.assign(state, this.createEmptyState());
+            matches = TestimonialData.filter(state);
+        }
+        state.page = Math.max(state.page, Math.ceil((matches.indexOf(story) + 1) / this.config.pageSize));
+    }
+
+    return state;
+};
+
+// Replaces the current entry and keeps campaign parameters and anything else that isn't ours
+TestimonialFeed.writeUrl = function() {
+    const params = new URLSearchParams(location.search);
+    ['q', 'category', 'year', 'rating', 'sort', 'page', 'story'].forEach(key => params.delete(key));
+
+    Object.entries(this.getActiveFilters()).forEach(([key, value]) => params.set(key, value));
+    if (this.state.page > 1) params.set('page', this.state.page);
+    if (this.state.story) params.set('story', this.state.story);
+
+    const query = params.toString();
+    history.replaceState(history.state, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+};
+
+TestimonialFeed.getShareUrl = function(id) {
+    const url = new URL(this.config.page, location.href);
+    url.searchParams.set('story', id);
+    return url.href;
+};
+
+TestimonialFeed.copyLink = function(id) {
+    const testimonial = TestimonialData.get(id);
+    if (!testimonial) return;
+
+    const url = this.getShareUrl(id);
+    const fallback = () => this.setStatus(this.format('copyFailed', { url }));
+
+    if (!navigator.clipboard) {
+        fallback();
+        return;
+    }
+
+    navigator.clipboard.writeText(url)
+        .then(() => this.setStatus(this.format('copied', { name: testimonial.name })))
+        .catch(fallback);
+};
+
+TestimonialFeed.setStatus = function(message) {
+    const status = this.root && this.root.querySelector(this.config.statusSelector);
+    if (status) status.textContent = message;
+};
+
+// ========================
+// 4. RENDERERS
+// ========================
+
+function createTestimonialElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined && text !== null && text !== '') el.textContent = text;
+    return el;
+}
+
+// The options come from the feed, so a new course or year shows up here by itself
+TestimonialFeed.renderControls = function() {
+    if (!this.panel) return;
+
+    const messages = this.config.messages;
+
+    const search = createTestimonialElement('div', 'filter-search');
+    const searchIcon = createTestimonialElement('i', 'fas fa-search');
+    searchIcon.setAttribute('aria-hidden', 'true');
+    const searchLabel = createTestimonialElement('label', 'visually-hidden', messages.searchLabel);
+    searchLabel.htmlFor = 'testimonialSearch';
+    const searchInput = createTestimonialElement('input', 'form-control');
+    searchInput.type = 'search';
+    searchInput.id = 'testimonialSearch';
+    searchInput.name = 'q';
+    searchInput.placeholder = messages.searchPlaceholder;
+    searchInput.autocomplete = 'off';
+    search.append(searchIcon, searchLabel, searchInput);
+
+    const courses = TestimonialData.getCourses().map(course => ({ value: course.id, label: course.name }));
+    const years = TestimonialData.getYears().map(year => ({ value: year, label: String(year) }));
+    const ratings = this.config.ratings.map(stars => ({
+        value: stars,
+        label: this.format(stars === 5 ? 'topRating' : 'ratingOption', { stars })
+    }));
+
+    const groups = createTestimonialElement('div', 'filter-groups');
+    groups.append(
+        this.createSelectGroup('category', messages.course, messages.anyCourse, courses),
+        this.createSelectGroup('year', messages.year, messages.anyYear, years),
+        this.createSelectGroup('rating', messages.rating, messages.anyRating, ratings),
+        this.createSelectGroup('sort', messages.sort, null, this.config.sorts)
+    );
+
+    const clear = createTestimonialElement('button', 'btn btn-link filter-clear', messages.clear);
+    clear.type = 'button';
+    clear.dataset.testimonialReset = '';
+
+    // A div rather than a form: main.js treats every form on the page as an enquiry
+    this.panel.setAttribute('role', 'search');
+    this.panel.replaceChildren(search, groups, clear);
+};
+
+// Sorting has no "any" option
+TestimonialFeed.createSelectGroup = function(name, label, anyLabel, options) {
+    const group = createTestimonialElement('div', 'filter-group');
+    const id = `testimonialFilter-${name}`;
+
+    const labelEl = createTestimonialElement('label', 'filter-label', label);
+    labelEl.htmlFor = id;
+
+    const select = createTestimonialElement('select', 'form-select');
+    select.id = id;
+    select.name = name;
+    if (anyLabel) select.add(new Option(anyLabel, ''));
+    options.forEach(option => select.add(new Option(option.label, option.value)));
+
+    group.append(labelEl, select);
+    return group;
+};
+
+// State -> controls, for links opened with filters, the hero buttons and "clear"
+TestimonialFeed.syncControls = function() {
+    if (this.panel) {
+        ['q', 'category', 'year', 'rating', 'sort'].forEach(name => {
+            const control = this.panel.querySelector(`[name="${name}"]`);
+            if (control) control.value = this.state[name] === null ? '' : this.state[name];
+        });
+
+        const clear = this.panel.querySelector('.filter-clear');
+        if (clear) clear.hidden = Object.keys(this.getActiveFilters()).length === 0;
+    }
+
+    document.querySelectorAll(this.config.categorySelector).forEach(button => {
+        const active = (button.dataset.category === 'all' && !this.state.category) ||
+            button.dataset.category === this.state.category;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+};
+
+// Shows the first `page` pages of matches; returns how many stories match
+TestimonialFeed.render = function() {
+    const list = this.root.querySelector(this.config.listSelector);
+    if (!list) return 0;
+
+    const matches = TestimonialData.filter(this.state);
+    const shown = matches.slice(0, this.state.page * this.config.pageSize);
+
+    list.replaceChildren(...shown.map((testimonial, index) => this.createCard(testimonial, index)));
+    this.updateSummary(shown.length, matches.length);
+
+    // Everything above was added after AOS started
+    if (typeof AOS !== 'undefined') AOS.refreshHard();
+
+    return matches.length;
+};
+
+// Adds the next page under the ones already shown and moves focus to the first new story
+TestimonialFeed.loadMore = function() {
+    const list = this.root.querySelector(this.config.listSelector);
+    if (!list) return;
+
+    const matches = TestimonialData.filter(this.state);
+    const from = this.state.page * this.config.pageSize;
+    const next = matches.slice(from, from + this.config.pageSize);
+    if (next.length === 0) return;
+
+    this.state.page += 1;
+    this.writeUrl();
+
+    const cards = next.map((testimonial, index) => this.createCard(testimonial, index));
+    list.append(...cards);
+    this.updateSummary(from + next.length, matches.length);
+
+    if (typeof AOS !== 'undefined') AOS.refreshHard();
+    cards[0].focus();
+};
+
+TestimonialFeed.updateSummary = function(shown, total) {
+    const filtered = Object.keys(this.getActiveFilters()).some(key => key !== 'sort');
+
+    const count = this.root.querySelector(this.config.countSelector);
+    if (count) count.textContent = this.format(filtered ? 'count' : 'countAll', { shown, total });
+
+    const empty = this.root.querySelector(this.config.emptySelector);
+    if (empty) empty.hidden = total > 0;
+
+    const more = this.root.querySelector(this.config.moreSelector);
+    if (more) more.hidden = shown >= total;
+
+    this.setStatus('');
+};
+
+// Same markup the page used to carry by hand, plus the story link
+TestimonialFeed.createCard = function(testimonial, index) {
+    const messages = this.config.messages;
+    const tag = TestimonialData.getTag(testimonial);
+
+    const card = createTestimonialElement('article', `testimonial-card ${testimonial.course}`);
+    card.id = `story-${testimonial.id}`;
+    card.tabIndex = -1;
+    card.dataset.aos = 'fade-up';
+    card.dataset.aosDelay = (index % 3 + 1) * 100;
+    if (testimonial.id === this.state.story) card.classList.add('linked');
+
+    const photo = createTestimonialElement('div', 'student-photo');
+    if (testimonial.image) {
+        const img = createTestimonialElement('img');
+        img.src = testimonial.image;
+        img.alt = testimonial.name;
+        img.loading = 'lazy';
+        photo.appendChild(img);
+    } else {
+        const initials = createTestimonialElement('span', 'student-initials',
+            testimonial.name.replace(/^(Mr|Mrs|Ms|Dr)\.\s+/, '').split(' ').map(part => part.charAt(0)).join('').slice(0, 2));
+        initials.setAttribute('aria-hidden', 'true');
+        photo.appendChild(initials);
+    }
+
+    const rating = createTestimonialElement('div', 'rating');
+    rating.setAttribute('role', 'img');
+    rating.setAttribute('aria-label', this.format('stars', { rating: testimonial.rating }));
+    for (let star = 1; star <= 5; star++) {
+        const icon = createTestimonialElement('i', `${star <= testimonial.rating ? 'fas' : 'far'} fa-star`);
+        icon.setAttribute('aria-hidden', 'true');
+        rating.appendChild(icon);
+    }
+
+    const details = createTestimonialElement('div', 'student-details');
+    details.append(
+        createTestimonialElement('h4', 'student-name', testimonial.name),
+        createTestimonialElement('p', 'student-achievement', testimonial.achievement),
+        rating
+    );
+
+    const header = createTestimonialElement('div', 'testimonial-header');
+    header.append(photo, details);
+
+    const quote = createTestimonialElement('div', 'quote-icon');
+    const quoteIcon = createTestimonialElement('i', 'fas fa-quote-left');
+    quoteIcon.setAttribute('aria-hidden', 'true');
+    quote.appendChild(quoteIcon);
+
+    const footer = createTestimonialElement('div', 'testimonial-category');
+    footer.appendChild(createTestimonialElement('span', 'testimonial-year', String(testimonial.year)));
+    if (tag) footer.appendChild(createTestimonialElement('span', `category-tag ${tag.tagClass}`, tag.label));
+
+    const share = createTestimonialElement('button', 'testimonial-share');
+    share.type = 'button';
+    share.dataset.testimonialShare = testimonial.id;
+    share.setAttribute('aria-label', this.format('share', { name: testimonial.name }));
+    share.title = share.getAttribute('aria-label');
+    const shareIcon = createTestimonialElement('i', 'fas fa-link');
+    shareIcon.setAttribute('aria-hidden', 'true');
+    share.appendChild(shareIcon);
+    footer.appendChild(share);
+
+    const content = createTestimonialElement('div', 'testimonial-content');
+    content.append(quote, createTestimonialElement('p', 'testimonial-text', `"${testimonial.text}"`), footer);
+
+    card.append(header, content);
+    return card;
+};
+
+// A shared link scrolls to its story once it's on the page
+TestimonialFeed.revealStory = function() {
+    if (!this.state.story) return;
+
+    const card = document.getElementById(`story-${this.state.story}`);
+    if (!card) return;
+
+    if (typeof scrollToElement === 'function') {
+        scrollToElement(card, 'auto');
+    } else {
+        card.scrollIntoView();
+    }
+    card.focus({ preventScroll: true });
+};
+
+TestimonialFeed.showError = function() {
+    const list = this.root.querySelector(this.config.listSelector);
+    if (list) list.replaceChildren(createTestimonialElement('p', 'testimonials-error', this.config.messages.loadFailed));
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    TestimonialFeed.init();
+});
+
+// Export for use in other scripts
+window.TestimonialData = TestimonialData;
+window.TestimonialFeed = TestimonialFeed;
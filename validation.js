@@ -0,0 +1,368 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - validation.js (Form Validation Engine)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Declarative validation driven by data-validate
+ *              attributes or per-form schemas, with cross-field
+ *              and async rules and localized messages
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. LOCALIZED MESSAGES
+// ========================
+
+const ValidationMessages = {
+    en: {
+        required: 'This field is required',
+        requiredChoice: 'Please select an option',
+        requiredCheck: 'Please tick this box to continue',
+        email: 'Please enter a valid email address',
+        indianMobile: 'Please enter a valid 10-digit Indian mobile number starting with 6, 7, 8 or 9',
+        minLength: 'Please enter at least {param} characters',
+        maxLength: 'Please enter no more than {param} characters',
+        pattern: 'Please match the requested format',
+        uniqueEmail: 'This email is already registered with us - we will be in touch soon',
+        courseEligibility: '{course} is not offered for the selected class'
+    },
+    hi: {
+        required: 'यह फ़ील्ड आवश्यक है',
+        requiredChoice: 'कृपया एक विकल्प चुनें',
+        requiredCheck: 'आगे बढ़ने के लिए कृपया इस बॉक्स पर टिक करें',
+        email: 'कृपया एक मान्य ईमेल पता दर्ज करें',
+        indianMobile: 'कृपया 6, 7, 8 या 9 से शुरू होने वाला 10 अंकों का मान्य मोबाइल नंबर दर्ज करें',
+        minLength: 'कृपया कम से कम {param} अक्षर दर्ज करें',
+        maxLength: 'कृपया {param} से अधिक अक्षर दर्ज न करें',
+        pattern: 'कृपया मांगे गए प्रारूप का पालन करें',
+        uniqueEmail: 'यह ईमेल पहले से हमारे पास पंजीकृत है - हम जल्द ही संपर्क करेंगे',
+        courseEligibility: 'चुनी गई कक्षा के लिए {course} उपलब्ध नहीं है'
+    },
+    te: {
+        required: 'ఈ ఫీల్డ్ తప్పనిసరి',
+        requiredChoice: 'దయచేసి ఒక ఎంపికను ఎంచుకోండి',
+        requiredCheck: 'కొనసాగడానికి దయచేసి ఈ బాక్స్‌ను టిక్ చేయండి',
+        email: 'దయచేసి సరైన ఈమెయిల్ చిరునామాను నమోదు చేయండి',
+        indianMobile: 'దయచేసి 6, 7, 8 లేదా 9తో ప్రారంభమయ్యే సరైన 10 అంకెల మొబైల్ నంబర్‌ను నమోదు చేయండి',
+        minLength: 'దయచేసి కనీసం {param} అక్షరాలు నమోదు చేయండి',
+        maxLength: 'దయచేసి {param} అక్షరాలకు మించకుండా నమోదు చేయండి',
+        pattern: 'దయచేసి అడిగిన ఫార్మాట్‌లో నమోదు చేయండి',
+        uniqueEmail: 'ఈ ఈమెయిల్ ఇప్పటికే మా వద్ద నమోదైంది - మేము త్వరలో సంప్రదిస్తాము',
+        courseEligibility: 'ఎంచుకున్న తరగతికి {course} అందుబాటులో లేదు'
+    }
+};
+
+// ========================
+// 2. BUILT-IN RULES
+// ========================
+
+// A rule receives (value, param, context) and returns true when valid.
+// Async rules may return a promise. `message` is a ValidationMessages key.
+
+function normalizeIndianMobile(value) {
+    const digits = String(value).replace(/[\s\-()]/g, '');
+    return digits.replace(/^(\+91|0091|91(?=\d{10}$)|0(?=\d{10}$))/, '');
+}
+
+const ValidationRules = {
+    required: {
+        message: 'required',
+        validate: value => value !== '' && value !== null
+    },
+    email: {
+        message: 'email',
+        validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value)
+    },
+    indianMobile: {
+        message: 'indianMobile',
+        validate: value => /^[6-9]\d{9}$/.test(normalizeIndianMobile(value))
+    },
+    minLength: {
+        message: 'minLength',
+        validate: (value, param) => value.length >= parseInt(param)
+    },
+    maxLength: {
+        message: 'maxLength',
+        validate: (value, param) => value.length <= parseInt(param)
+    },
+    pattern: {
+        message: 'pattern',
+        validate: (value, param) => new RegExp(`^(?:${param})$`).test(value)
+    }
+};
+
+// ========================
+// 3. VALIDATION ENGINE
+// ========================
+
+const FormValidator = {
+    // Configuration
+    config: {
+        locale: document.documentElement.lang || 'en',
+        fallbackLocale: 'en',
+        emailCheckEndpoint: '/api/enquiries/email-status'
+    },
+
+    // State
+    rules: new Map(Object.entries(ValidationRules)),
+    schemas: new Map(),
+    pending: new WeakMap(),
+
+    registerRule(name, rule) {
+        if (!rule || typeof rule.validate !== 'function') {
+            throw new TypeError(`Validation rule "${name}" must implement validate(value, param, context)`);
+        }
+        this.rules.set(name, { message: name, ...rule });
+    },
+
+    // schema: { fields: { name: 'required|minLength:2' | [...] }, crossRules: [...] }
+    registerSchema(formId, schema) {
+        this.schemas.set(formId, { fields: {}, crossRules: [], ...schema });
+    },
+
+    setLocale(locale) {
+        this.config.locale = locale;
+    },
+
+    translate(key, params = {}) {
+        const locale = (this.config.locale || '').split('-')[0];
+        const table = ValidationMessages[locale] || ValidationMessages[this.config.fallbackLocale];
+        const template = table[key] || ValidationMessages[this.config.fallbackLocale][key] || key;
+
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    // 'required|minLength:2' or ['required', { rule: 'pattern', param: '...' }]
+    parseRules(spec) {
+        if (!spec) return [];
+
+        const items = Array.isArray(spec) ? spec : String(spec).split('|');
+
+        return items
+            .map(item => {
+                if (typeof item === 'object') return item;
+
+                const separator = item.indexOf(':');
+                return separator === -1
+                    ? { rule: item.trim() }
+                    : { rule: item.slice(0, separator).trim(), param: item.slice(separator + 1) };
+            })
+            .filter(item => item.rule);
+    },
+
+    // Rules implied by native attributes, then data-validate, then the schema
+    getFieldRules(field) {
+        const implicit = [];
+
+        if (field.required) implicit.push({ rule: 'required' });
+        if (field.type === 'email') implicit.push({ rule: 'email' });
+        if (field.type === 'tel') implicit.push({ rule: 'indianMobile' });
+        if (field.getAttribute('minlength')) implicit.push({ rule: 'minLength', param: field.getAttribute('minlength') });
+        if (field.getAttribute('maxlength')) implicit.push({ rule: 'maxLength', param: field.getAttribute('maxlength') });
+        if (field.getAttribute('pattern')) implicit.push({ rule: 'pattern', param: field.getAttribute('pattern') });
+
+        const schema = field.form ? this.schemas.get(field.form.id) : null;
+        const declared = [
+            ...this.parseRules(field.dataset.validate),
+            ...this.parseRules(schema && schema.fields[field.name])
+        ];
+
+        // Later declarations of the same rule override earlier ones
+        const merged = new Map();
+        [...implicit, ...declared].forEach(item => merged.set(item.rule, item));
+        return [...merged.values()];
+    },
+
+    getValue(field) {
+        if (field.type === 'radio') {
+            const checked = field.form
+                ? field.form.querySelector(`input[name="${field.name}"]:checked`)
+                : null;
+            return checked ? checked.value : '';
+        }
+
+        if (field.type === 'checkbox') {
+            return field.checked ? field.value : '';
+        }
+
+        return field.value.trim();
+    },
+
+    getValues(form) {
+        const values = {};
+        Array.from(form.elements).forEach(element => {
+            if (element.name && !(element.name in values && element.type === 'radio')) {
+                values[element.name] = this.getValue(element);
+            }
+        });
+        return values;
+    },
+
+    getMessage(field, item, rule, params = {}) {
+        if (field.dataset.validateMessage) return field.dataset.validateMessage;
+        if (item.message) return item.message;
+
+        let key = rule.message;
+        if (item.rule === 'required' && field.type === 'radio') key = 'requiredChoice';
+        if (item.rule === 'required' && field.type === 'checkbox') key = 'requiredCheck';
+
+        return this.translate(key, { param: item.param, ...params });
+    },
+
+    // Resolves with { field, valid, message }. Stale async results are dropped.
+    async validateField(field) {
+        const token = {};
+        this.pending.set(field, token);
+
+        const result = await this.runFieldRules(field);
+        const crossResult = result.valid ? this.runCrossRules(field) : result;
+
+        if (this.pending.get(field) !== token) {
+            return { field, valid: true, message: '', stale: true };
+        }
+        return crossResult;
+    },
+
+    async runFieldRules(field) {
+        const value = this.getValue(field);
+        const context = { field, form: field.form, values: field.form ? this.getValues(field.form) : {} };
+
+        for (const item of this.getFieldRules(field)) {
+            const rule = this.rules.get(item.rule);
+
+            if (!rule) {
+                console.warn(`⚠️ Unknown validation rule "${item.rule}" on ${field.name || field.id}`);
+                continue;
+            }
+
+            // Only `required` looks at empty optional fields
+            if (value === '' && item.rule !== 'required') continue;
+
+            const valid = await rule.validate(value, item.param, context);
+            if (!valid) {
+                return { field, valid: false, message: this.getMessage(field, item, rule) };
+            }
+        }
+
+        return { field, valid: true, message: '' };
+    },
+
+    // Cross-field rules report on their `target` field once all inputs are filled
+    runCrossRules(field) {
+        const schema = field.form ? this.schemas.get(field.form.id) : null;
+        if (!schema) return { field, valid: true, message: '' };
+
+        const values = this.getValues(field.form);
+
+        for (const crossRule of schema.crossRules) {
+            if (crossRule.target !== field.name) continue;
+            if (crossRule.fields.some(name => !values[name])) continue;
+
+            const outcome = crossRule.validate(values);
+            if (outcome !== true) {
+                const params = typeof outcome === 'object' ? outcome : {};
+                return { field, valid: false, message: this.translate(crossRule.message, params) };
+            }
+        }
+
+        return { field, valid: true, message: '' };
+    },
+
+    // Target fields whose cross-field rules read the given field
+    getDependents(form, name) {
+        const schema = this.schemas.get(form.id);
+        if (!schema) return [];
+
+        return schema.crossRules
+            .filter(crossRule => crossRule.target !== name && crossRule.fields.includes(name))
+            .map(crossRule => form.elements[crossRule.target])
+            .filter(Boolean);
+    },
+
+    // One entry per control; radio groups are validated once via their first input
+    getValidatableFields(fields) {
+        const seenGroups = new Set();
+
+        return Array.from(fields).filter(field => {
+            if (field.disabled || ['submit', 'button', 'reset', 'hidden'].includes(field.type)) return false;
+            if (field.type === 'radio') {
+                if (seenGroups.has(field.name)) return false;
+                seenGroups.add(field.name);
+            }
+            return true;
+        });
+    }
+};
+
+// ========================
+// 4. SITE RULES & SCHEMAS
+// ========================
+
+function createEligibilityRule(courseField, classField) {
+    return {
+        fields: [courseField, classField],
+        target: courseField,
+        message: 'courseEligibility',
+        validate(values) {
+            // Which classes may join each course is part of the catalogue data (catalogue.js)
+            const allowed = typeof CourseCatalogue !== 'undefined' ? CourseCatalogue.getEligibleClasses(values[courseField]) : null;
+            return !allowed || allowed.includes(values[classField]) || { course: values[courseField] };
+        }
+    };
+}
+
+const emailStatusCache = new Map();
+
+FormValidator.registerRule('uniqueEmail', {
+    message: 'uniqueEmail',
+    validate(value) {
+        const email = value.toLowerCase();
+
+        if (!emailStatusCache.has(email)) {
+            const url = `${FormValidator.config.emailCheckEndpoint}?email=${encodeURIComponent(email)}`;
+
+            // An unreachable check must never block a genuine enquiry
+            const check = fetch(url, { headers: { 'Accept': 'application/json' } })
+                .then(response => (response.ok ? response.json() : { exists: false }))
+                .then(body => !body.exists)
+                .catch(() => {
+                    emailStatusCache.delete(email);
+                    return true;
+                });
+            emailStatusCache.set(email, check);
+        }
+
+        return emailStatusCache.get(email);
+    }
+});
+
+FormValidator.registerSchema('contactForm', {
+    fields: {
+        firstName: 'minLength:2|maxLength:50',
+        lastName: 'maxLength:50',
+        email: 'uniqueEmail',
+        message: 'maxLength:2000'
+    },
+    crossRules: [createEligibilityRule('courseInterest', 'currentClass')]
+});
+
+FormValidator.registerSchema('demoForm', {
+    fields: {
+        name: 'minLength:2|maxLength:80',
+        message: 'maxLength:1000'
+    },
+    crossRules: [createEligibilityRule('course', 'class')]
+});
+
+FormValidator.registerSchema('reviewForm', {
+    fields: {
+        name: 'minLength:2|maxLength:80',
+        rating: 'required',
+        review: 'minLength:30|maxLength:3000'
+    }
+});
+
+// Export for use in other scripts
+window.FormValidator = FormValidator;
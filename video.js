@@ -0,0 +1,591 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - video.js (Video Player)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Click-to-load video facade for whitelisted
+ *              providers and self-hosted MP4/HLS, with WebVTT
+ *              captions, transcripts and watch-progress events
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. SOURCES
+// ========================
+
+// Only these providers are embedded; every URL is parsed and rebuilt from
+// its id, so nothing from the original string reaches the page verbatim
+const VideoProviders = {
+    youtube: {
+        label: 'YouTube',
+        thirdParty: true,
+        origin: 'https://www.youtube-nocookie.com',
+        hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtu.be', 'www.youtube-nocookie.com'],
+
+        getId(url) {
+            const id = url.hostname === 'youtu.be'
+                ? url.pathname.slice(1)
+                : url.searchParams.get('v') || (url.pathname.match(/^\/(?:embed|shorts)\/([^/]+)/) || [])[1];
+            return /^[\w-]{11}$/.test(id || '') ? id : null;
+        },
+
+        getEmbedUrl(id, options) {
+            const params = new URLSearchParams({
+                autoplay: '1',
+                rel: '0',
+                enablejsapi: '1',
+                origin: location.origin
+            });
+            if (options.captions) params.set('cc_load_policy', '1');
+            return `${this.origin}/embed/${id}?${params}`;
+        }
+    },
+
+    vimeo: {
+        label: 'Vimeo',
+        thirdParty: true,
+        origin: 'https://player.vimeo.com',
+        hosts: ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'],
+
+        getId(url) {
+            const id = (url.pathname.match(/(\d+)\/?$/) || [])[1];
+            return id || null;
+        },
+
+        getEmbedUrl(id) {
+            return `${this.origin}/video/${id}?autoplay=1&dnt=1`;
+        }
+    }
+};
+
+const VideoSources = {
+    // Extra hosts allowed to serve self-hosted files, e.g. a CDN
+    mediaHosts: [],
+
+    parse(value) {
+        let url;
+        try {
+            url = new URL(value, location.href);
+        } catch (error) {
+            return null;
+        }
+
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+        for (const [name, provider] of Object.entries(VideoProviders)) {
+            if (provider.hosts.includes(url.hostname)) {
+                const id = provider.getId(url);
+                return id ? { type: 'embed', provider: name, id } : null;
+            }
+        }
+
+        const selfHosted = url.origin === location.origin ||
+            (url.protocol === 'https:' && this.mediaHosts.includes(url.hostname));
+        if (!selfHosted) return null;
+
+        if (/\.m3u8$/i.test(url.pathname)) return { type: 'hls', provider: 'self', src: url.href };
+        if (/\.(mp4|webm)$/i.test(url.pathname)) return { type: 'file', provider: 'self', src: url.href };
+
+        return null;
+    }
+};
+
+// Minimal WebVTT reader: cue timings and text, with markup tags dropped
+function parseVTT(text) {
+    const toSeconds = stamp => {
+        const parts = stamp.trim().split(':').map(Number);
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    };
+
+    return text.replace(/\r/g, '').split(/\n{2,}/).map(block => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) return null;
+
+        const [start, end] = lines[timingIndex].split('-->').map(part => toSeconds(part.trim().split(' ')[0]));
+        const cueText = lines.slice(timingIndex + 1).join(' ').replace(/<[^>]*>/g, '').trim();
+
+        return cueText ? { start, end, text: cueText } : null;
+    }).filter(Boolean);
+}
+
+function formatTimestamp(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+// ========================
+// 2. VIDEO PLAYER
+// ========================
+
+class VideoPlayer {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.active = false;
+        this.playing = false;
+        this.pendingSeek = null;
+        this.media = null;
+        this.cues = [];
+        this.milestonesReached = new Set();
+
+        // Configuration
+        this.config = {
+            src: element.dataset.videoSrc,
+            title: element.dataset.videoTitle || 'Video',
+            poster: element.dataset.poster || '',
+            captions: element.dataset.captions || '',
+            captionsLang: element.dataset.captionsLang || 'en',
+            captionsLabel: element.dataset.captionsLabel || 'English',
+            milestones: [25, 50, 75, 100],
+            ...options
+        };
+
+        this.source = VideoSources.parse(this.config.src || '');
+        this.provider = this.source && VideoProviders[this.source.provider];
+
+        this.render();
+        element.videoPlayer = this;
+    }
+
+    createElement(tag, className, text) {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text) el.textContent = text;
+        return el;
+    }
+
+    render() {
+        this.element.classList.add('video-player');
+        this.element.textContent = '';
+
+        this.stage = this.createElement('div', 'video-stage');
+
+        if (this.config.poster) {
+            const poster = this.createElement('img', 'video-poster');
+            poster.src = this.config.poster;
+            poster.alt = '';
+            poster.loading = 'lazy';
+            this.stage.appendChild(poster);
+        }
+
+        if (!this.source) {
+            this.stage.appendChild(this.createElement('p', 'video-error', 'This video cannot be played here.'));
+            this.element.appendChild(this.stage);
+            return;
+        }
+
+        this.playButton = this.createElement('button', 'video-play');
+        this.playButton.type = 'button';
+        this.playButton.setAttribute('aria-label', `Play video: ${this.config.title}`);
+        this.playButton.appendChild(this.createElement('i', 'fas fa-play'));
+        this.playButton.firstChild.setAttribute('aria-hidden', 'true');
+        this.playButton.addEventListener('click', () => this.activate());
+        this.stage.appendChild(this.playButton);
+
+        // Tell people before anything loads from a third party
+        if (this.provider && this.provider.thirdParty) {
+            this.notice = this.createElement('p', 'video-notice',
+                `Playing loads this video from ${this.provider.label}, which may set cookies.`);
+            this.stage.appendChild(this.notice);
+        }
+
+        this.element.appendChild(this.stage);
+
+        if (this.config.captions) {
+            this.renderTranscriptPanel();
+        }
+    }
+
+    renderTranscriptPanel() {
+        const panelId = `${this.element.id || `video-${Math.random().toString(36).slice(2, 8)}`}-transcript`;
+
+        this.transcriptToggle = this.createElement('button', 'btn btn-link btn-sm video-transcript-toggle', 'Show transcript');
+        this.transcriptToggle.type = 'button';
+        this.transcriptToggle.setAttribute('aria-expanded', 'false');
+        this.transcriptToggle.setAttribute('aria-controls', panelId);
+        this.transcriptToggle.addEventListener('click', () => this.toggleTranscript());
+
+        this.transcript = this.createElement('div', 'video-transcript');
+        this.transcript.id = panelId;
+        this.transcript.hidden = true;
+
+        this.element.appendChild(this.transcriptToggle);
+        this.element.appendChild(this.transcript);
+    }
+
+    async toggleTranscript() {
+        const open = this.transcript.hidden;
+
+        this.transcript.hidden = !open;
+        this.transcriptToggle.setAttribute('aria-expanded', String(open));
+        this.transcriptToggle.textContent = open ? 'Hide transcript' : 'Show transcript';
+
+        if (open && this.cues.length === 0) {
+            await this.loadTranscript();
+        }
+    }
+
+    async loadTranscript() {
+        try {
+            const response = await fetch(this.config.captions);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.cues = parseVTT(await response.text());
+        } catch (error) {
+            this.transcript.textContent = 'The transcript could not be loaded.';
+            return;
+        }
+
+        const list = this.createElement('ol', 'video-transcript-list');
+
+        this.cues.forEach(cue => {
+            const item = this.createElement('li');
+            const seek = this.createElement('button', 'video-cue-time', formatTimestamp(cue.start));
+            seek.type = 'button';
+            seek.setAttribute('aria-label', `Play from ${formatTimestamp(cue.start)}`);
+            seek.addEventListener('click', () => this.seek(cue.start));
+
+            item.appendChild(seek);
+            item.appendChild(this.createElement('span', 'video-cue-text', cue.text));
+            cue.item = item;
+            list.appendChild(item);
+        });
+
+        this.transcript.textContent = '';
+        this.transcript.appendChild(list);
+    }
+
+    // Consent
+
+    // Third-party players load only once marketing cookies are allowed (consent.js)
+    needsConsent() {
+        return Boolean(this.provider && this.provider.thirdParty) &&
+            typeof ConsentManager !== 'undefined' && !ConsentManager.has('marketing');
+    }
+
+    // Play asks first: the choice is made and recorded through ConsentManager, never implied
+    showConsentPrompt() {
+        if (this.consentPrompt) {
+            this.consentPrompt.querySelector('button').focus();
+            return;
+        }
+
+        const messages = ConsentManager.config.messages;
+        this.consentPrompt = this.createElement('div', 'video-consent');
+        this.consentPrompt.setAttribute('role', 'group');
+        this.consentPrompt.setAttribute('aria-label', `Cookie choice for ${this.config.title}`);
+
+        const allow = this.createElement('button', 'btn btn-primary btn-sm', messages.embedAllow);
+        allow.type = 'button';
+        allow.addEventListener('click', () => {
+            // Cookie settings may have granted it in the meantime
+            if (!ConsentManager.has('marketing')) ConsentManager.update({ marketing: true }, 'embed');
+            this.activate();
+        });
+
+        const settings = this.createElement('button', 'btn btn-link btn-sm', 'Cookie settings');
+        settings.type = 'button';
+        settings.dataset.consentPreferences = '';
+
+        this.consentPrompt.append(
+            this.createElement('p', null, `Playing loads this video from ${this.provider.label}, which may set cookies on your device.`),
+            allow,
+            settings
+        );
+
+        if (this.notice) this.notice.hidden = true;
+        this.playButton.hidden = true;
+        this.stage.appendChild(this.consentPrompt);
+        allow.focus();
+    }
+
+    // Playback
+
+    activate() {
+        if (this.active || !this.source) return;
+
+        if (this.needsConsent()) {
+            this.showConsentPrompt();
+            return;
+        }
+
+        this.active = true;
+        this.consentPrompt = null;
+
+        this.media = this.source.type === 'embed' ? this.createFrame() : this.createVideo();
+        if (!this.media) return;
+
+        this.media.dataset.videoFrame = '';
+        this.stage.textContent = '';
+        this.stage.appendChild(this.media);
+        this.element.classList.add('is-active');
+
+        if (this.media.tagName === 'VIDEO') {
+            this.media.focus();
+        }
+    }
+
+    createFrame() {
+        const frame = document.createElement('iframe');
+        frame.src = this.provider.getEmbedUrl(this.source.id, { captions: Boolean(this.config.captions) });
+        frame.title = this.config.title;
+        frame.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+        frame.setAttribute('allowfullscreen', '');
+        frame.referrerPolicy = 'strict-origin-when-cross-origin';
+
+        // The players only start sending state once we ask for it
+        frame.addEventListener('load', () => this.subscribe());
+        return frame;
+    }
+
+    createVideo() {
+        const video = document.createElement('video');
+        video.controls = true;
+        video.autoplay = true;
+        video.playsInline = true;
+        video.preload = 'metadata';
+        if (this.config.poster) video.poster = this.config.poster;
+
+        if (this.config.captions) {
+            const track = document.createElement('track');
+            track.kind = 'captions';
+            track.src = this.config.captions;
+            track.srclang = this.config.captionsLang;
+            track.label = this.config.captionsLabel;
+            track.default = true;
+            video.appendChild(track);
+        }
+
+        if (this.source.type === 'hls' && !video.canPlayType('application/vnd.apple.mpegurl')) {
+            // Browsers without native HLS need hls.js loaded on the page
+            if (typeof Hls === 'undefined' || !Hls.isSupported()) {
+                this.stage.appendChild(this.createElement('p', 'video-error', 'This video format is not supported by your browser.'));
+                return null;
+            }
+            const hls = new Hls();
+            hls.loadSource(this.source.src);
+            hls.attachMedia(video);
+        } else {
+            video.src = this.source.src;
+        }
+
+        video.addEventListener('play', () => this.handlePlay());
+        video.addEventListener('pause', () => {
+            this.playing = false;
+        });
+        video.addEventListener('timeupdate', () => {
+            if (video.duration) this.handleTime(video.currentTime, video.duration);
+        });
+        video.addEventListener('ended', () => this.handleTime(video.duration, video.duration));
+
+        return video;
+    }
+
+    // Provider messaging (YouTube IFrame API / Vimeo Player API over postMessage)
+
+    post(message) {
+        if (this.media && this.media.contentWindow) {
+            this.media.contentWindow.postMessage(JSON.stringify(message), this.provider.origin);
+        }
+    }
+
+    subscribe() {
+        if (this.source.provider === 'youtube') {
+            this.post({ event: 'listening', id: this.element.id });
+        } else if (this.source.provider === 'vimeo') {
+            ['play', 'pause', 'timeupdate'].forEach(value => this.post({ method: 'addEventListener', value }));
+        }
+
+        if (this.pendingSeek !== null) {
+            this.seek(this.pendingSeek);
+            this.pendingSeek = null;
+        }
+    }
+
+    handleMessage(data) {
+        if (this.source.provider === 'youtube') {
+            // Player states: 1 playing, 2 paused
+            const info = data.info || {};
+            const state = data.event === 'onStateChange' ? info : info.playerState;
+            if (state === 1) this.handlePlay();
+            if (state === 2) this.playing = false;
+            if (info.currentTime !== undefined && info.duration) this.handleTime(info.currentTime, info.duration);
+        } else if (this.source.provider === 'vimeo') {
+            if (data.event === 'play') this.handlePlay();
+            if (data.event === 'pause') this.playing = false;
+            if (data.event === 'timeupdate' && data.data) this.handleTime(data.data.seconds, data.data.duration);
+        }
+    }
+
+    pause() {
+        if (!this.media) return;
+
+        if (this.media.tagName === 'VIDEO') {
+            this.media.pause();
+        } else if (this.source.provider === 'youtube') {
+            this.post({ event: 'command', func: 'pauseVideo', args: [] });
+        } else if (this.source.provider === 'vimeo') {
+            this.post({ method: 'pause' });
+        }
+    }
+
+    seek(seconds) {
+        if (!this.active) {
+            this.activate();
+            // Embeds can't take commands until they have loaded
+            if (this.media && this.media.tagName !== 'VIDEO') {
+                this.pendingSeek = seconds;
+                return;
+            }
+        }
+        if (!this.media) return;
+
+        if (this.media.tagName === 'VIDEO') {
+            this.media.currentTime = seconds;
+            this.media.play();
+        } else if (this.source.provider === 'youtube') {
+            this.post({ event: 'command', func: 'seekTo', args: [seconds, true] });
+        } else if (this.source.provider === 'vimeo') {
+            this.post({ method: 'setCurrentTime', value: seconds });
+        }
+    }
+
+    // Progress
+
+    handlePlay() {
+        if (this.playing) return;
+        this.playing = true;
+
+        VideoManager.pauseOthers(this);
+        this.reportProgress(0);
+    }
+
+    handleTime(current, duration) {
+        const percent = Math.min(100, Math.round((current / duration) * 100));
+
+        this.config.milestones
+            .filter(milestone => percent >= milestone)
+            .forEach(milestone => this.reportProgress(milestone));
+
+        this.highlightCue(current);
+    }
+
+    highlightCue(current) {
+        this.cues.forEach(cue => {
+            if (cue.item) cue.item.classList.toggle('is-current', current >= cue.start && current < cue.end);
+        });
+    }
+
+    reportProgress(milestone) {
+        if (this.milestonesReached.has(milestone)) return;
+        this.milestonesReached.add(milestone);
+
+        const detail = {
+            milestone,
+            title: this.config.title,
+            provider: this.source.provider
+        };
+
+        this.element.dispatchEvent(new CustomEvent('video:progress', { detail }));
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.track(milestone === 0 ? 'video_start' : 'video_progress', detail);
+        }
+    }
+}
+
+// ========================
+// 3. VIDEO MANAGER
+// ========================
+
+const VideoManager = {
+    players: new Set(),
+    initialized: false,
+
+    init() {
+        if (!this.initialized) {
+            this.initialized = true;
+            this.bindEvents();
+        }
+
+        document.querySelectorAll('[data-video-src]').forEach(element => this.create(element));
+    },
+
+    create(element, options) {
+        if (element.videoPlayer) return element.videoPlayer;
+
+        const player = new VideoPlayer(element, options);
+        this.players.add(player);
+        return player;
+    },
+
+    // Pause and forget every player inside a container that is leaving the page
+    release(container) {
+        this.players.forEach(player => {
+            if (!container.contains(player.element)) return;
+
+            if (player.playing) player.pause();
+            this.players.delete(player);
+            delete player.element.videoPlayer;
+        });
+    },
+
+    pauseOthers(current) {
+        this.players.forEach(player => {
+            if (player !== current && player.playing) {
+                player.pause();
+                player.playing = false;
+            }
+        });
+    },
+
+    bindEvents() {
+        // Embedded players talk back over postMessage; match by source window and origin
+        window.addEventListener('message', e => {
+            this.players.forEach(player => {
+                if (!player.media || player.media.contentWindow !== e.source ||
+                    e.origin !== player.provider.origin) {
+                    return;
+                }
+
+                let data = e.data;
+                if (typeof data === 'string') {
+                    try {
+                        data = JSON.parse(data);
+                    } catch (error) {
+                        return;
+                    }
+                }
+                player.handleMessage(data);
+            });
+        });
+
+        // Modal events don't bubble, so listen in the capture phase. Only players that
+        // need no consent start by themselves; third-party ones keep their facade
+        document.addEventListener('modal:open', e => {
+            e.target.querySelectorAll('[data-video-autoplay]').forEach(element => {
+                const player = element.videoPlayer;
+                if (player && !(player.provider && player.provider.thirdParty)) player.activate();
+            });
+        }, true);
+
+        document.addEventListener('modal:close', e => {
+            this.players.forEach(player => {
+                if (e.target.contains(player.element)) {
+                    player.pause();
+                    player.playing = false;
+                }
+            });
+        }, true);
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    VideoManager.init();
+});
+
+// Export for use in other scripts
+window.VideoSources = VideoSources;
+window.VideoPlayer = VideoPlayer;
+window.VideoManager = VideoManager;
@@ -0,0 +1,391 @@
+/**
+ * =========================================================
+ * ROOTS ACADEMY - wizard.js (Multi-step Form Wizard)
+ * Author: Roots Academy Dev Team
+ * Date: 2025
+ * Description: Reusable step-by-step forms with per-step
+ *              validation, conditional steps, keyboard
+ *              navigation and reload-safe progress
+ * =========================================================
+ */
+
+'use strict';
+
+// ========================
+// 1. FORM WIZARD
+// ========================
+
+class FormWizard {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.steps = [];
+        this.progressSteps = [];
+        this.currentIndex = 0;
+        this.busy = false;
+        this.handlers = [];
+
+        // Configuration
+        this.config = {
+            stepSelector: '.form-step',
+            nextSelector: '.next-step',
+            prevSelector: '.prev-step',
+            progressFillSelector: '.progress-fill',
+            progressStepSelector: '.progress-steps .step',
+            statusSelector: '[data-wizard-status]',
+            keyboard: true,
+            persist: true,
+            storageKey: `rootsAcademy.wizard.${form.id}`,
+            // Per-step hooks keyed by data-step: { validate(stepEl, wizard), skip(values, wizard) }
+            stepOptions: {},
+            ...options
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.steps = Array.from(this.form.querySelectorAll(this.config.stepSelector));
+        this.progressSteps = Array.from(this.form.querySelectorAll(this.config.progressStepSelector));
+        this.status = this.form.querySelector(this.config.statusSelector);
+
+        if (this.steps.length === 0) return;
+
+        this.bindEvents();
+
+        if (!(this.config.persist && this.restoreProgress())) {
+            this.goTo(0, { focus: false, silent: true });
+        }
+
+        this.form.wizard = this;
+    }
+
+    on(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.handlers.push(() => target.removeEventListener(type, handler));
+    }
+
+    bindEvents() {
+        this.form.querySelectorAll(this.config.nextSelector).forEach(btn => {
+            this.on(btn, 'click', () => this.next());
+        });
+
+        this.form.querySelectorAll(this.config.prevSelector).forEach(btn => {
+            this.on(btn, 'click', () => this.prev());
+        });
+
+        // Completed steps in the progress bar can be revisited
+        this.progressSteps.forEach(indicator => {
+            this.on(indicator, 'click', () => this.goToCompleted(indicator));
+            this.on(indicator, 'keydown', e => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.goToCompleted(indicator);
+                }
+            });
+        });
+
+        if (this.config.keyboard) {
+            this.on(this.form, 'keydown', e => this.handleKeydown(e));
+        }
+
+        // Skip conditions depend on answers, so refresh the progress bar as they change
+        this.on(this.form, 'change', () => {
+            this.updateProgress();
+            this.saveProgress();
+        });
+
+        this.on(this.form, 'form:draft-restored', () => {
+            this.updateProgress();
+            this.saveProgress();
+        });
+
+        this.on(this.form, 'form:submitted', () => this.reset());
+        this.on(this.form, 'form:queued', () => this.reset());
+    }
+
+    handleKeydown(e) {
+        const target = e.target;
+
+        // Enter moves forward instead of submitting a half-filled form
+        if (e.key === 'Enter' && !e.shiftKey && target.tagName !== 'TEXTAREA' &&
+            target.tagName !== 'BUTTON' && !this.isLastStep()) {
+            e.preventDefault();
+            this.next();
+            return;
+        }
+
+        if (e.altKey && e.key === 'ArrowRight' && !this.isLastStep()) {
+            e.preventDefault();
+            this.next();
+        } else if (e.altKey && e.key === 'ArrowLeft') {
+            e.preventDefault();
+            this.prev();
+        }
+    }
+
+    // Step state
+
+    getStepKey(index) {
+        return this.steps[index].dataset.step || String(index + 1);
+    }
+
+    getStepOptions(index) {
+        return this.config.stepOptions[this.getStepKey(index)] || {};
+    }
+
+    getValues() {
+        return typeof FormValidator !== 'undefined'
+            ? FormValidator.getValues(this.form)
+            : Object.fromEntries(new FormData(this.form));
+    }
+
+    // data-skip-when="courseInterest:Foundation,Other" or a stepOptions.skip hook
+    isSkipped(index) {
+        const step = this.steps[index];
+        const values = this.getValues();
+        const hook = this.getStepOptions(index).skip;
+
+        if (typeof hook === 'function') {
+            return Boolean(hook(values, this));
+        }
+
+        const condition = step.dataset.skipWhen;
+        if (!condition) return false;
+
+        const [name, expected] = condition.split(':');
+        return expected.split(',').includes(values[name]);
+    }
+
+    getActiveIndexes() {
+        return this.steps.map((step, index) => index).filter(index => !this.isSkipped(index));
+    }
+
+    isLastStep() {
+        const active = this.getActiveIndexes();
+        return active[active.length - 1] === this.currentIndex;
+    }
+
+    async validateStep(index) {
+        const step = this.steps[index];
+        const hook = this.getStepOptions(index).validate;
+
+        const fieldsValid = typeof validateFields === 'function'
+            ? await validateFields(step.querySelectorAll('input, select, textarea'))
+            : Array.from(step.querySelectorAll('input, select, textarea')).every(field => field.checkValidity());
+
+        if (!fieldsValid) {
+            const firstInvalid = step.querySelector('[aria-invalid="true"], :invalid');
+            if (firstInvalid) firstInvalid.focus();
+            return false;
+        }
+
+        return typeof hook === 'function' ? Boolean(await hook(step, this)) : true;
+    }
+
+    // Navigation
+
+    async next() {
+        if (this.busy) return false;
+        this.busy = true;
+
+        try {
+            if (!(await this.validateStep(this.currentIndex))) return false;
+
+            const target = this.getActiveIndexes().find(index => index > this.currentIndex);
+            if (target === undefined) return false;
+
+            return this.goTo(target);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    prev() {
+        const previous = this.getActiveIndexes().filter(index => index < this.currentIndex).pop();
+        return previous === undefined ? false : this.goTo(previous);
+    }
+
+    goToCompleted(indicator) {
+        const index = this.steps.findIndex(step => step.dataset.step === indicator.dataset.step);
+        if (index !== -1 && index < this.currentIndex && !this.isSkipped(index)) {
+            this.goTo(index);
+        }
+    }
+
+    goTo(index, options = {}) {
+        if (index < 0 || index >= this.steps.length) return false;
+
+        const from = this.currentIndex;
+        this.currentIndex = index;
+
+        this.steps.forEach((step, stepIndex) => {
+            const isActive = stepIndex === index;
+            step.classList.toggle('active', isActive);
+            step.hidden = !isActive;
+        });
+
+        this.updateProgress();
+        this.saveProgress();
+
+        if (options.focus !== false) {
+            this.focusStep(index);
+        }
+
+        if (!options.silent) {
+            this.form.dispatchEvent(new CustomEvent('wizard:change', {
+                detail: {
+                    from,
+                    to: index,
+                    step: this.getStepKey(index),
+                    position: this.getActiveIndexes().indexOf(index) + 1,
+                    total: this.getActiveIndexes().length
+                }
+            }));
+        }
+
+        return true;
+    }
+
+    focusStep(index) {
+        const step = this.steps[index];
+        const heading = step.querySelector('.step-title, h3, h4, legend');
+        const firstField = step.querySelector('input:not([type="hidden"]), select, textarea');
+        const target = heading || firstField;
+
+        if (!target) return;
+
+        if (target === heading && !heading.hasAttribute('tabindex')) {
+            heading.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: false });
+    }
+
+    updateProgress() {
+        const active = this.getActiveIndexes();
+        const position = Math.max(active.indexOf(this.currentIndex), 0);
+        const progress = active.length > 1 ? (position / (active.length - 1)) * 100 : 100;
+
+        const fill = this.form.querySelector(this.config.progressFillSelector);
+        if (fill) {
+            fill.style.width = `${progress}%`;
+        }
+
+        this.progressSteps.forEach(indicator => {
+            const index = this.steps.findIndex(step => step.dataset.step === indicator.dataset.step);
+            const skipped = index !== -1 && this.isSkipped(index);
+            const reached = index !== -1 && index <= this.currentIndex && !skipped;
+            const completed = reached && index < this.currentIndex;
+
+            indicator.classList.toggle('active', reached);
+            indicator.classList.toggle('skipped', skipped);
+            indicator.setAttribute('aria-current', index === this.currentIndex ? 'step' : 'false');
+
+            // Only completed steps are keyboard reachable
+            if (completed) {
+                indicator.setAttribute('tabindex', '0');
+                indicator.setAttribute('role', 'button');
+            } else {
+                indicator.removeAttribute('tabindex');
+                indicator.removeAttribute('role');
+            }
+        });
+
+        if (this.status) {
+            this.status.textContent = `Step ${position + 1} of ${active.length}`;
+        }
+    }
+
+    // Progress persistence
+
+    saveProgress() {
+        if (!this.config.persist) return;
+
+        try {
+            sessionStorage.setItem(this.config.storageKey, JSON.stringify({
+                step: this.getStepKey(this.currentIndex),
+                values: captureFormState(this.form)
+            }));
+        } catch (error) {
+            // Storage can be full or disabled; progress simply won't survive a reload
+        }
+    }
+
+    restoreProgress() {
+        let saved = null;
+
+        try {
+            saved = JSON.parse(sessionStorage.getItem(this.config.storageKey));
+        } catch (error) {
+            saved = null;
+        }
+
+        if (!saved) return false;
+
+        applyFormState(this.form, saved.values || {});
+
+        const index = this.steps.findIndex((step, stepIndex) => this.getStepKey(stepIndex) === saved.step);
+        if (index === -1 || this.isSkipped(index)) return false;
+
+        this.goTo(index, { focus: false, silent: true });
+        return true;
+    }
+
+    clearProgress() {
+        try {
+            sessionStorage.removeItem(this.config.storageKey);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+
+    // Not a step the visitor took, so no wizard:change
+    reset() {
+        this.goTo(0, { focus: false, silent: true });
+        this.clearProgress();
+    }
+
+    destroy() {
+        this.handlers.forEach(remove => remove());
+        this.handlers = [];
+        delete this.form.wizard;
+    }
+}
+
+// ========================
+// 2. INITIALIZATION
+// ========================
+
+const WizardManager = {
+    wizards: new Map(),
+
+    init() {
+        document.querySelectorAll('form[data-wizard]').forEach(form => {
+            if (!this.wizards.has(form.id)) {
+                this.wizards.set(form.id, new FormWizard(form, this.getOptionsForForm(form)));
+            }
+        });
+    },
+
+    getOptionsForForm(form) {
+        return {
+            persist: form.dataset.wizardPersist !== 'false'
+        };
+    },
+
+    get(formId) {
+        return this.wizards.get(formId);
+    },
+
+    destroyAll() {
+        this.wizards.forEach(wizard => wizard.destroy());
+        this.wizards.clear();
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    WizardManager.init();
+});
+
+// Export for use in other scripts
+window.FormWizard = FormWizard;
+window.WizardManager = WizardManager;